@@ -0,0 +1,380 @@
+/**
+ * Analytics for Friendly Fix Plumbing
+ * Counts page views, call and quote clicks, form funnel steps, searches
+ * that found nothing, and map interactions. Nothing is recorded until the
+ * visitor accepts the consent banner this module shows; "Do Not Track" and
+ * Global Privacy Control count as a refusal and the banner isn't shown.
+ *
+ * No names, email addresses, phone numbers or typed addresses are sent.
+ * Searches that found nothing are reported with email addresses and all
+ * digits removed, so a house number or phone number typed into the
+ * search box never leaves the browser. Events carry the page path and a random id that lasts for the browser
+ * tab only.
+ *
+ * Events are batched and sent with navigator.sendBeacon to
+ * FriendlyFixConfig.analyticsEndpoint:
+ *   POST { session: 'k3x9…', events: [{ type: 'pageview', path: '/', at: '…' }, …] }
+ * A batch goes out when it is full, every analyticsFlushInterval ms, and
+ * when the page is hidden or closed. mock-api.js collects them locally.
+ *
+ * Track your own elements with data-track="name":
+ *   <a href="/offers.html" data-track="spring-offer">See offers</a>
+ * Any [data-consent-settings] button reopens the banner. Its text follows
+ * the site's language switcher.
+ *
+ * Requires main.js.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const SESSION_KEY = 'friendlyfix-analytics-session';
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'consent.label': 'Privacy choices',
+    'consent.text': 'May we count visits and clicks to improve this site? We don\'t use advertising cookies and never record your name, contact details or address.',
+    'consent.deny': 'No thanks',
+    'consent.grant': 'Accept',
+    'consent.doNotTrack': 'Your browser asks sites not to track you, so analytics stay off.'
+  };
+
+  function t(key) {
+    return window.FriendlyFix.i18n.t(key);
+  }
+
+  const state = {
+    consent: null,    // 'granted', 'denied' or null (not asked yet)
+    queue: [],        // Events waiting to be sent
+    timer: null,
+    banner: null,
+    started: false,   // Page view and listeners set up
+    formsStarted: new WeakSet(),
+    lastEmptyQuery: ''
+  };
+
+  function settings() {
+    const config = (window.FriendlyFix && window.FriendlyFix.config) || {};
+    return {
+      endpoint: config.analyticsEndpoint,
+      batchSize: config.analyticsBatchSize || 10,
+      flushInterval: config.analyticsFlushInterval || 15000,
+      consentKey: config.consentKey || 'friendlyfix-consent'
+    };
+  }
+
+  // ==========================================================================
+  // CONSENT
+  // ==========================================================================
+
+  /**
+   * Browser-level opt-outs: Do Not Track and Global Privacy Control
+   */
+  function optedOut() {
+    return navigator.globalPrivacyControl === true ||
+      navigator.doNotTrack === '1' || window.doNotTrack === '1';
+  }
+
+  function readConsent() {
+    if (optedOut()) return 'denied';
+    try {
+      const saved = JSON.parse(localStorage.getItem(settings().consentKey));
+      return saved && (saved.status === 'granted' || saved.status === 'denied') ? saved.status : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record the visitor's choice and start (or stop) collecting
+   * @param {boolean} granted
+   */
+  function setConsent(granted) {
+    state.consent = granted ? 'granted' : 'denied';
+    try {
+      localStorage.setItem(settings().consentKey, JSON.stringify({
+        status: state.consent,
+        at: new Date().toISOString()
+      }));
+    } catch (error) {
+      // Storage unavailable: the choice lasts for this page only
+    }
+
+    hideBanner();
+    if (granted) {
+      start();
+    } else {
+      state.queue = [];
+      clearTimeout(state.timer);
+    }
+  }
+
+  function showBanner() {
+    if (!state.banner) {
+      state.banner = document.createElement('div');
+      state.banner.className = 'consent-banner';
+      state.banner.setAttribute('role', 'region');
+      state.banner.setAttribute('aria-label', t('consent.label'));
+      state.banner.setAttribute('data-i18n-attr', 'aria-label:consent.label');
+      state.banner.innerHTML = `
+        <p class="consent-text" data-i18n="consent.text"></p>
+        <div class="consent-actions">
+          <button type="button" class="btn btn-secondary btn-sm" data-consent="deny" data-i18n="consent.deny"></button>
+          <button type="button" class="btn btn-sm" data-consent="grant" data-i18n="consent.grant"></button>
+        </div>`;
+      // The data-i18n bindings keep the text in step with the language switcher
+      state.banner.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+      });
+      state.banner.addEventListener('click', e => {
+        const button = e.target.closest('[data-consent]');
+        if (button) setConsent(button.getAttribute('data-consent') === 'grant');
+      });
+      document.body.appendChild(state.banner);
+    }
+    state.banner.hidden = false;
+  }
+
+  function hideBanner() {
+    if (state.banner) state.banner.hidden = true;
+  }
+
+  // ==========================================================================
+  // QUEUE & SENDING
+  // ==========================================================================
+
+  function sessionId() {
+    try {
+      let id = sessionStorage.getItem(SESSION_KEY);
+      if (!id) {
+        id = Math.random().toString(36).slice(2, 12);
+        sessionStorage.setItem(SESSION_KEY, id);
+      }
+      return id;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record an event. Ignored until consent is granted.
+   * @param {string} type - e.g. 'cta_click'
+   * @param {Object} [props] - Extra fields; keep them free of personal data
+   * @returns {boolean} Whether the event was queued
+   */
+  function track(type, props = {}) {
+    if (state.consent !== 'granted' || !settings().endpoint) return false;
+
+    state.queue.push(Object.assign({
+      type,
+      path: window.location.pathname,
+      at: new Date().toISOString()
+    }, props));
+
+    if (state.queue.length >= settings().batchSize) {
+      flush();
+    } else if (!state.timer) {
+      state.timer = setTimeout(flush, settings().flushInterval);
+    }
+    return true;
+  }
+
+  /**
+   * Send queued events now
+   * Uses sendBeacon so batches survive the page closing; falls back to a
+   * keepalive fetch where sendBeacon is missing or refuses the data
+   */
+  function flush() {
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (!state.queue.length) return;
+
+    const { endpoint } = settings();
+    const body = JSON.stringify({ session: sessionId(), events: state.queue.splice(0) });
+
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+    if (window.fetch) {
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(error => console.warn('Analytics batch could not be sent:', error));
+    }
+  }
+
+  // ==========================================================================
+  // TRACKED EVENTS
+  // ==========================================================================
+
+  /**
+   * Name of a call-to-action, or null for other clicks
+   */
+  function ctaName(element) {
+    if (element.hasAttribute('data-track')) return element.getAttribute('data-track');
+    if (/^tel:/i.test(element.getAttribute('href') || '')) return 'call';
+    if (element.getAttribute('data-modal-target') === '#quote-wizard') return 'quote';
+    return null;
+  }
+
+  function trackClicks(e) {
+    const element = e.target.closest('[data-track], a[href^="tel:"], [data-modal-target="#quote-wizard"]');
+    if (!element) return;
+
+    const name = ctaName(element);
+    const area = element.closest('header, footer, main, aside');
+    if (name) {
+      track('cta_click', {
+        name,
+        text: element.textContent.trim().replace(/\s+/g, ' ').slice(0, 80),
+        area: area ? area.tagName.toLowerCase() : null   // Where on the page: header, main, footer…
+      });
+    }
+  }
+
+  /**
+   * First interaction with the contact form counts as the funnel start
+   */
+  function trackFormStart(e) {
+    const form = e.target.closest && e.target.closest('.contact-form');
+    if (!form || state.formsStarted.has(form)) return;
+    state.formsStarted.add(form);
+    track('form_step', { form: 'contact', step: 'start' });
+  }
+
+  /**
+   * Search text with email addresses and numbers removed
+   * @param {string} query
+   * @returns {string}
+   */
+  function scrubQuery(query) {
+    return query
+      .replace(/\S+@\S+/g, ' ')
+      .replace(/[+(]?\d[\d\s().-]*/g, ' ') // Numbers, with phone-number punctuation
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase()
+      .slice(0, 100);
+  }
+
+  // Record each empty search once, after typing pauses
+  let searchTimer;
+  function trackSearch(event) {
+    const { query, count } = event.detail;
+    clearTimeout(searchTimer);
+    if (!query || count > 0) return;
+
+    searchTimer = setTimeout(() => {
+      const scrubbed = scrubQuery(query);
+      if (!scrubbed || scrubbed === state.lastEmptyQuery) return;
+      state.lastEmptyQuery = scrubbed;
+      track('search_no_results', { query: scrubbed, filters: event.detail.filters });
+    }, 1500);
+  }
+
+  /**
+   * Listen for the events that feed the reports (once consent is given)
+   */
+  function start() {
+    if (state.started) return;
+    state.started = true;
+
+    track('pageview', {
+      title: document.title,
+      referrer: document.referrer ? new URL(document.referrer).hostname : null
+    });
+
+    document.addEventListener('click', trackClicks);
+    document.addEventListener('focusin', trackFormStart);
+
+    const on = window.FriendlyFix.on;
+    on('form:submit', e => {
+      if (e.detail.form.matches('.contact-form')) {
+        track('form_step', { form: 'contact', step: 'submit', status: e.detail.status });
+      }
+    });
+    on('form:error', e => {
+      if (e.detail.form.matches('.contact-form')) track('form_step', { form: 'contact', step: 'error' });
+    });
+    on('modal:open', e => {
+      if (e.detail.modal.id === 'quote-wizard') track('form_step', { form: 'quote', step: 'open' });
+    });
+    on('quote:step', e => track('form_step', { form: 'quote', step: e.detail.name.toLowerCase() }));
+    on('quote:submit', e => track('form_step', { form: 'quote', step: 'submit', status: e.detail.status, service: e.detail.service }));
+    on('quote:error', () => track('form_step', { form: 'quote', step: 'error' }));
+    on('search:results', trackSearch);
+
+    // Map: which branches people look at; distances are rounded so the
+    // visitor's position can't be worked out
+    on('map:select', e => track('map_interaction', { action: 'select', location: e.detail.location.id }));
+    on('map:nearest', e => track('map_interaction', {
+      action: 'nearest',
+      location: e.detail.location.id,
+      miles: Math.round(e.detail.distance)
+    }));
+    on('servicearea:check', e => {
+      if (e.detail.error) return;
+      track('map_interaction', {
+        action: 'area_check',
+        source: e.detail.query === null ? 'map' : 'search',
+        zone: e.detail.zone ? e.detail.zone.id : null,
+        covered: e.detail.covered
+      });
+    });
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  function initAnalytics() {
+    if (!window.FriendlyFix || !window.FriendlyFix.on) return;
+    window.FriendlyFix.i18n.addMessages(MESSAGES);
+
+    state.consent = readConsent();
+    if (state.consent === 'granted') {
+      start();
+    } else if (state.consent === null) {
+      showBanner();
+    }
+
+    // Let visitors change their mind from the footer
+    document.addEventListener('click', e => {
+      if (!e.target.closest('[data-consent-settings]')) return;
+      if (optedOut()) {
+        window.FriendlyFix.showNotification(t('consent.doNotTrack'), 'info');
+        return;
+      }
+      showBanner();
+      state.banner.querySelector('[data-consent="grant"]').focus();
+    });
+
+    // Send what's left when the visitor leaves or switches tabs
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAnalytics);
+  } else {
+    initAnalytics();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.analytics = {
+    track,                                   // (type, props) → queued?
+    flush,                                   // Send queued events now
+    get consent() { return state.consent; }, // 'granted', 'denied' or null
+    grant: () => setConsent(true),
+    deny: () => setConsent(false),
+    showBanner                               // Ask again
+  };
+
+})();
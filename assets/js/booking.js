@@ -0,0 +1,610 @@
+/**
+ * Appointment Booking for Friendly Fix Plumbing
+ * A calendar of open appointment slots that is sent along with the
+ * contact form.
+ *
+ * Markup (inside a form):
+ *   <fieldset class="booking" data-booking data-availability="api/availability"></fieldset>
+ *
+ * Opening hours, holidays and slot length come from
+ * FriendlyFix.config.businessHours. Booked slots come from the JSON feed
+ * named in data-availability, requested as `?from=YYYY-MM-DD&to=YYYY-MM-DD`:
+ *   { "booked": { "2025-11-04": ["09:00", "13:00"] }, "closed": ["2025-11-07"] }
+ *
+ * Dates are handled as plain "YYYY-MM-DD" strings in the business's time
+ * zone, so visitors in other zones (or around DST changes) see the same
+ * days and times as the office. The chosen slot is submitted as
+ * `appointment` (local "YYYY-MM-DDTHH:MM"), `appointmentStart` (UTC ISO)
+ * and `appointmentTimeZone`.
+ *
+ * Keyboard: arrow keys move between days, Home/End to the start/end of
+ * the week, Page Up/Page Down change month, Enter or Space picks a day.
+ *
+ * Text, dates and times follow the site's language switcher.
+ *
+ * Requires main.js.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'booking.legend': 'Book a visit',
+    'booking.optional': '(optional)',
+    'booking.hint': 'Times are shown in our local time ({timeZone}). {hours}.',
+    'booking.previousMonth': 'Previous month',
+    'booking.nextMonth': 'Next month',
+    'booking.loading': 'Loading available times...',
+    'booking.pickDay': 'Pick a day to see available times.',
+    'booking.loadError': 'We couldn\'t load available times. Mention your preferred time in the message and we\'ll confirm it.',
+    'booking.unavailable': '{date}, unavailable',
+    'booking.timesOn': 'Times on {date}',
+    'booking.booked': 'Booked',
+    'booking.clear': 'Clear selection'
+  };
+
+  function t(key, vars) {
+    return window.FriendlyFix.i18n.t(key, vars);
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+  }
+
+  // ==========================================================================
+  // DATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Split "YYYY-MM-DD" into numbers
+   */
+  function parseDate(iso) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return { year, month, day };
+  }
+
+  /**
+   * Midnight UTC for a plain date; only used for arithmetic and labels,
+   * never shown in the visitor's own time zone
+   */
+  function toUtc(iso) {
+    const { year, month, day } = parseDate(iso);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  function fromUtc(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  function addDays(iso, days) {
+    const date = toUtc(iso);
+    date.setUTCDate(date.getUTCDate() + days);
+    return fromUtc(date);
+  }
+
+  function addMonths(iso, months) {
+    const { year, month } = parseDate(iso);
+    return fromUtc(new Date(Date.UTC(year, month - 1 + months, 1)));
+  }
+
+  function weekday(iso) {
+    return toUtc(iso).getUTCDay();
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function fromMinutes(total) {
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Wall-clock date and time right now in a time zone
+   * @returns {{date: string, minutes: number}}
+   */
+  function nowInZone(timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(new Date()).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  /**
+   * Offset of a time zone from UTC at a given instant, in milliseconds
+   */
+  function zoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = Number(part.value); });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Convert a wall-clock date and time in a time zone to a UTC ISO string
+   * Checks the offset twice so slots next to a DST change come out right
+   */
+  function zonedToUtc(iso, time, timeZone) {
+    const { year, month, day } = parseDate(iso);
+    const [hours, minutes] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+    let result = guess - zoneOffset(guess, timeZone);
+    const corrected = guess - zoneOffset(result, timeZone);
+    if (corrected !== result) result = corrected;
+    return new Date(result).toISOString();
+  }
+
+  // Dates and times follow the language chosen in the site's switcher
+  function locale() {
+    return window.FriendlyFix && window.FriendlyFix.i18n ? window.FriendlyFix.i18n.language : undefined;
+  }
+
+  function formatDate(iso, options) {
+    return toUtc(iso).toLocaleDateString(locale(), Object.assign({ timeZone: 'UTC' }, options));
+  }
+
+  function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(Date.UTC(1970, 0, 1, hours, minutes))
+      .toLocaleTimeString(locale(), { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' });
+  }
+
+  // ==========================================================================
+  // BUSINESS HOURS
+  // ==========================================================================
+
+  function getHours() {
+    return window.FriendlyFix.config.businessHours;
+  }
+
+  /**
+   * Slot start times ("HH:MM") the business offers on a date
+   */
+  function slotsFor(iso) {
+    const hours = getHours();
+    if (hours.holidays.includes(iso)) return [];
+
+    const open = hours.days[DAY_KEYS[weekday(iso)]];
+    if (!open) return [];
+
+    const slots = [];
+    for (let start = toMinutes(open[0]); start + hours.slotMinutes <= toMinutes(open[1]); start += hours.slotMinutes) {
+      slots.push(fromMinutes(start));
+    }
+    return slots;
+  }
+
+  /**
+   * Short description of the opening hours in the chosen language,
+   * e.g. "Mon–Sat 8 AM–6 PM"
+   * @returns {string}
+   */
+  function describeHours() {
+    const hours = getHours();
+    // "8 AM" reads fine on a 12-hour clock, but "8" needs its minutes ("8:00")
+    const twelveHour = /h1[12]/.test(new Intl.DateTimeFormat(locale(), { hour: 'numeric' }).resolvedOptions().hourCycle);
+    const short = time => {
+      const [h, m] = time.split(':').map(Number);
+      return new Date(Date.UTC(1970, 0, 1, h, m)).toLocaleTimeString(locale(), {
+        timeZone: 'UTC', hour: 'numeric', minute: m || !twelveHour ? '2-digit' : undefined
+      });
+    };
+    // 2023-01-01 was a Sunday
+    const label = key => formatDate(addDays('2023-01-01', DAY_KEYS.indexOf(key)), { weekday: 'short' });
+
+    // Group consecutive days (Monday first) that share the same hours
+    const order = DAY_KEYS.slice(1).concat('sun');
+    const groups = [];
+    order.forEach(key => {
+      const open = hours.days[key];
+      const text = open ? `${short(open[0])}–${short(open[1])}` : null;
+      const last = groups[groups.length - 1];
+      if (last && last.text === text) {
+        last.to = key;
+      } else {
+        groups.push({ from: key, to: key, text });
+      }
+    });
+
+    return groups
+      .filter(group => group.text)
+      .map(group => `${label(group.from)}${group.to !== group.from ? '–' + label(group.to) : ''} ${group.text}`)
+      .join(', ');
+  }
+
+  // ==========================================================================
+  // BOOKING WIDGET
+  // ==========================================================================
+
+  /**
+   * Build the booking widget inside a [data-booking] fieldset
+   * @param {HTMLElement} root
+   */
+  function createBooking(root) {
+    const hours = getHours();
+    const timeZone = hours.timeZone;
+    const now = nowInZone(timeZone);
+    const firstDay = now.date;
+    const lastDay = addDays(firstDay, hours.bookingDays - 1);
+
+    const state = {
+      booked: {},
+      closed: [],
+      loaded: false,
+      month: addMonths(firstDay, 0),  // First of the visible month
+      focused: firstDay,              // Day with tabindex="0"
+      selectedDay: null,
+      failed: false                   // Availability couldn't be loaded
+    };
+
+    root.innerHTML = `
+      <legend data-i18n="booking.legend">${escapeHtml(t('booking.legend'))} <span class="booking-optional" data-i18n="booking.optional">${escapeHtml(t('booking.optional'))}</span></legend>
+      <p class="booking-hint"></p>
+      <div class="booking-calendar">
+        <div class="booking-header">
+          <button type="button" class="booking-nav" data-booking-prev aria-label="${escapeHtml(t('booking.previousMonth'))}" data-i18n-attr="aria-label:booking.previousMonth">&lsaquo;</button>
+          <h3 class="booking-month" id="booking-month" aria-live="polite"></h3>
+          <button type="button" class="booking-nav" data-booking-next aria-label="${escapeHtml(t('booking.nextMonth'))}" data-i18n-attr="aria-label:booking.nextMonth">&rsaquo;</button>
+        </div>
+        <table class="booking-grid" role="grid" aria-labelledby="booking-month">
+          <thead><tr></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="booking-slots" aria-live="polite"></div>
+      <input type="hidden" name="appointmentStart">
+      <input type="hidden" name="appointmentTimeZone">
+    `;
+
+    const grid = root.querySelector('.booking-grid');
+    const monthLabel = root.querySelector('.booking-month');
+    const slotsEl = root.querySelector('.booking-slots');
+    const prevBtn = root.querySelector('[data-booking-prev]');
+    const nextBtn = root.querySelector('[data-booking-next]');
+    const startInput = root.querySelector('input[name="appointmentStart"]');
+    const zoneInput = root.querySelector('input[name="appointmentTimeZone"]');
+
+    /**
+     * Opening hours hint and weekday headings (Sunday first)
+     */
+    function renderLabels() {
+      root.querySelector('.booking-hint').textContent = t('booking.hint', {
+        timeZone: timeZone.replace(/_/g, ' '),
+        hours: describeHours()
+      });
+
+      const headRow = grid.querySelector('thead tr');
+      headRow.innerHTML = '';
+      for (let i = 0; i < 7; i++) {
+        const sample = addDays('2023-01-01', i); // A Sunday
+        headRow.insertAdjacentHTML('beforeend',
+          `<th scope="col" abbr="${escapeHtml(formatDate(sample, { weekday: 'long' }))}">${escapeHtml(formatDate(sample, { weekday: 'short' }))}</th>`);
+      }
+    }
+
+    /**
+     * Open slots on a date, leaving out booked ones and those too soon to reach
+     */
+    function openSlots(iso) {
+      if (iso < firstDay || iso > lastDay || state.closed.includes(iso)) return [];
+      const booked = state.booked[iso] || [];
+      const earliest = iso === now.date ? now.minutes + hours.leadMinutes : -1;
+      return slotsFor(iso).filter(time => !booked.includes(time) && toMinutes(time) >= earliest);
+    }
+
+    function isBookable(iso) {
+      return openSlots(iso).length > 0;
+    }
+
+    /**
+     * Draw the visible month
+     */
+    function renderMonth() {
+      const { year, month } = parseDate(state.month);
+      monthLabel.textContent = formatDate(state.month, { month: 'long', year: 'numeric' });
+      prevBtn.disabled = state.month <= addMonths(firstDay, 0);
+      nextBtn.disabled = addMonths(state.month, 1) > lastDay;
+
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const offset = weekday(state.month);
+      const body = grid.querySelector('tbody');
+      body.innerHTML = '';
+
+      let row = document.createElement('tr');
+      for (let i = 0; i < offset; i++) row.appendChild(document.createElement('td'));
+
+      for (let day = 1; day <= daysInMonth; day++) {
+        const iso = `${state.month.slice(0, 8)}${String(day).padStart(2, '0')}`;
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        const bookable = state.loaded && isBookable(iso);
+
+        button.type = 'button';
+        button.className = 'booking-day';
+        button.textContent = day;
+        button.setAttribute('data-date', iso);
+        button.setAttribute('tabindex', iso === state.focused ? '0' : '-1');
+        const date = formatDate(iso, { weekday: 'long', month: 'long', day: 'numeric' });
+        button.setAttribute('aria-label', bookable ? date : t('booking.unavailable', { date }));
+        button.setAttribute('aria-pressed', String(iso === state.selectedDay));
+        if (!bookable) button.setAttribute('aria-disabled', 'true');
+        if (iso === now.date) button.setAttribute('aria-current', 'date');
+
+        cell.setAttribute('role', 'gridcell');
+        cell.appendChild(button);
+        row.appendChild(cell);
+
+        if (weekday(iso) === 6) {
+          body.appendChild(row);
+          row = document.createElement('tr');
+        }
+      }
+      if (row.children.length) body.appendChild(row);
+    }
+
+    /**
+     * Move keyboard focus to a date, changing month when needed
+     */
+    function focusDay(iso) {
+      if (iso < firstDay) iso = firstDay;
+      if (iso > lastDay) iso = lastDay;
+
+      state.focused = iso;
+      if (iso.slice(0, 7) !== state.month.slice(0, 7)) {
+        state.month = `${iso.slice(0, 8)}01`;
+        renderMonth();
+      } else {
+        grid.querySelectorAll('.booking-day').forEach(button => {
+          button.setAttribute('tabindex', button.getAttribute('data-date') === iso ? '0' : '-1');
+        });
+      }
+      const button = grid.querySelector(`[data-date="${iso}"]`);
+      if (button) button.focus();
+    }
+
+    /**
+     * Show the time slots for a day
+     */
+    function selectDay(iso) {
+      if (!isBookable(iso)) return;
+      state.selectedDay = iso;
+      state.focused = iso;
+      clearSlot();
+
+      // Update the existing buttons so the one that was used keeps focus
+      grid.querySelectorAll('.booking-day').forEach(button => {
+        const date = button.getAttribute('data-date');
+        button.setAttribute('aria-pressed', String(date === iso));
+        button.setAttribute('tabindex', date === iso ? '0' : '-1');
+      });
+
+      renderSlots();
+    }
+
+    /**
+     * Fill the slots area: the times for the chosen day, or a status message
+     * A time that was already picked stays picked
+     */
+    function renderSlots() {
+      const iso = state.selectedDay;
+      if (!iso) {
+        const key = state.loaded ? 'booking.pickDay' : state.failed ? 'booking.loadError' : 'booking.loading';
+        slotsEl.innerHTML = `<p class="booking-status">${escapeHtml(t(key))}</p>`;
+        return;
+      }
+
+      const checked = slotsEl.querySelector('input[name="appointment"]:checked');
+      const offered = slotsFor(iso);
+      const open = openSlots(iso);
+      slotsEl.innerHTML = `
+        <fieldset class="booking-times">
+          <legend>${escapeHtml(t('booking.timesOn', { date: formatDate(iso, { weekday: 'long', month: 'long', day: 'numeric' }) }))}</legend>
+          ${offered.map(time => `
+            <label class="booking-time${open.includes(time) ? '' : ' is-booked'}">
+              <input type="radio" name="appointment" value="${iso}T${time}"${open.includes(time) ? '' : ' disabled'}${checked && checked.value === `${iso}T${time}` ? ' checked' : ''}>
+              <span>${escapeHtml(formatTime(time))}</span>
+              ${open.includes(time) ? '' : `<span class="booking-time-note">${escapeHtml(t('booking.booked'))}</span>`}
+            </label>`).join('')}
+        </fieldset>
+        <button type="button" class="btn-link" data-booking-clear>${escapeHtml(t('booking.clear'))}</button>
+      `;
+    }
+
+    function clearSlot() {
+      startInput.value = '';
+      zoneInput.value = '';
+    }
+
+    /**
+     * Forget the chosen day and slot, e.g. after the form is sent
+     */
+    function reset() {
+      state.selectedDay = null;
+      clearSlot();
+      renderMonth();
+      renderSlots();
+    }
+
+    /**
+     * Load booked slots for the whole booking window
+     */
+    async function loadAvailability() {
+      const endpoint = root.getAttribute('data-availability');
+      state.loaded = false;
+      state.failed = false;
+
+      try {
+        if (endpoint) {
+          const separator = endpoint.includes('?') ? '&' : '?';
+          const response = await fetch(`${endpoint}${separator}from=${firstDay}&to=${lastDay}`);
+          if (!response.ok) throw new Error(`Availability request failed (${response.status})`);
+          const data = await response.json();
+          state.booked = data.booked || {};
+          state.closed = data.closed || [];
+        }
+        state.loaded = true;
+        reset();
+      } catch (error) {
+        console.error('Booking availability could not be loaded:', error);
+        state.loaded = false;
+        state.failed = true;
+        state.selectedDay = null;
+        renderMonth();
+        renderSlots();
+      }
+
+      // Start on the first day that can actually be booked
+      if (state.loaded && !isBookable(state.focused)) {
+        let day = firstDay;
+        while (day <= lastDay && !isBookable(day)) day = addDays(day, 1);
+        if (day <= lastDay) {
+          state.focused = day;
+          state.month = `${day.slice(0, 8)}01`;
+          renderMonth();
+        }
+      }
+    }
+
+    // Day selection
+    grid.addEventListener('click', e => {
+      const button = e.target.closest('.booking-day');
+      if (button) selectDay(button.getAttribute('data-date'));
+    });
+
+    // Keyboard navigation within the grid
+    grid.addEventListener('keydown', e => {
+      const button = e.target.closest('.booking-day');
+      if (!button) return;
+      const iso = button.getAttribute('data-date');
+      const moves = {
+        ArrowLeft: () => addDays(iso, -1),
+        ArrowRight: () => addDays(iso, 1),
+        ArrowUp: () => addDays(iso, -7),
+        ArrowDown: () => addDays(iso, 7),
+        Home: () => addDays(iso, -weekday(iso)),
+        End: () => addDays(iso, 6 - weekday(iso)),
+        PageUp: () => clampToMonth(iso, -1),
+        PageDown: () => clampToMonth(iso, 1)
+      };
+
+      if (moves[e.key]) {
+        e.preventDefault();
+        focusDay(moves[e.key]());
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectDay(iso);
+      }
+    });
+
+    /**
+     * Same day of the month in another month (the 31st becomes the 30th, ...)
+     */
+    function clampToMonth(iso, months) {
+      const target = addMonths(iso, months);
+      const { year, month } = parseDate(target);
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return `${target.slice(0, 8)}${String(Math.min(parseDate(iso).day, daysInMonth)).padStart(2, '0')}`;
+    }
+
+    /**
+     * Show another month, moving the focusable day along with it so the
+     * grid stays reachable with Tab
+     */
+    function changeMonth(months) {
+      let iso = clampToMonth(state.focused, months);
+      if (iso < firstDay) iso = firstDay;
+      if (iso > lastDay) iso = lastDay;
+
+      state.focused = iso;
+      state.month = addMonths(state.month, months);
+      renderMonth();
+    }
+
+    prevBtn.addEventListener('click', () => changeMonth(-1));
+    nextBtn.addEventListener('click', () => changeMonth(1));
+
+    // Slot selection fills in the hidden fields sent with the form
+    slotsEl.addEventListener('change', e => {
+      if (e.target.name !== 'appointment') return;
+      const [iso, time] = e.target.value.split('T');
+      startInput.value = zonedToUtc(iso, time, timeZone);
+      zoneInput.value = timeZone;
+    });
+
+    slotsEl.addEventListener('click', e => {
+      if (e.target.closest('[data-booking-clear]')) {
+        reset();
+        const focusTarget = grid.querySelector('[tabindex="0"]');
+        if (focusTarget) focusTarget.focus();
+      }
+    });
+
+    // After the form is sent, clear the choice and pick up the new booking
+    const form = root.closest('form');
+    if (form) {
+      form.addEventListener('reset', () => setTimeout(loadAvailability, 0));
+    }
+
+    // Month names, weekdays and times are formatted for the new language;
+    // the rest is switched by its data-i18n bindings
+    document.addEventListener('language:change', () => {
+      renderLabels();
+      renderMonth();
+      renderSlots();
+    });
+
+    renderLabels();
+    renderMonth();
+    renderSlots();
+    loadAvailability();
+
+    return { root, reload: loadAvailability, reset };
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  const widgets = [];
+
+  function initBooking() {
+    if (!window.FriendlyFix || !window.FriendlyFix.config.businessHours) return;
+    window.FriendlyFix.i18n.addMessages(MESSAGES);
+    document.querySelectorAll('[data-booking]').forEach(root => widgets.push(createBooking(root)));
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBooking);
+  } else {
+    initBooking();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.booking = {
+    widgets,                 // Booking widgets on this page ({ root, reload, reset })
+    describeHours,           // "Mon–Sat 8 AM–6 PM" in the chosen language
+    slotsFor,                // Slot start times for a "YYYY-MM-DD" date
+    zonedToUtc               // ("2025-11-04", "09:00", "America/New_York") → UTC ISO string
+  };
+
+})();
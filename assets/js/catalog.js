@@ -0,0 +1,371 @@
+/**
+ * Service Catalog for Friendly Fix Plumbing
+ * Renders service cards and their detail modals from a JSON file.
+ *
+ * Markup:
+ * - data-catalog="assets/data/services.json"  on the element holding the panels
+ * - data-catalog-panel="repairs"              on each card grid to fill
+ * - data-load-more="catalog"                  on the "Load More" button
+ *
+ * Each panel shows `pageSize` services at first; "Load More" reveals the
+ * next page in every panel. Rendered items are handed to
+ * FriendlyFix.enhance() so search, filters, tilt, lightbox and modals
+ * work on them like on hand-written markup.
+ *
+ * A service's `modal.results` ({ before, after, beforeAlt, afterAlt })
+ * replaces the modal image with a before/after photo slider.
+ *
+ * The JSON holds the English copy. Each text is registered as the English
+ * for a `service.<id>.<field>` key (title, summary, imageAlt, modalTitle,
+ * modalImageAlt, description, listTitle, item1…, priceNote, beforeAlt,
+ * afterAlt), so locale bundles translate it like page copy. Prices are
+ * formatted for the chosen language.
+ *
+ * Requires main.js.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const state = {
+    services: [],
+    pageSize: 3,
+    shown: {}      // Number of services rendered per panel
+  };
+
+  let readyResolve;
+  const ready = new Promise(resolve => { readyResolve = resolve; });
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'catalog.learnMore': 'Learn More',
+    'catalog.close': 'Close',
+    'catalog.details': 'Details:',
+    'catalog.averageCost': 'Average cost:',
+    'catalog.priceRange': '{min} - {max}',
+    'catalog.priceFrom': 'From {min}',
+    'catalog.loadError': 'We couldn\'t load our services right now. Please refresh the page or call us on',
+    'cta.quote': 'Request a Quote',
+    'cta.callNow': 'Call Now: (123) 456-7890'
+  };
+
+  function t(key, vars) {
+    return window.FriendlyFix.i18n.t(key, vars);
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+  }
+
+  /**
+   * English copy of a service under its service.<id>.* keys
+   * @param {Object} service - Catalog entry
+   * @returns {Object} Key → text
+   */
+  function serviceMessages(service) {
+    const details = service.modal || {};
+    const results = details.results || {};
+    const key = field => `service.${service.id}.${field}`;
+    const messages = {
+      [key('title')]: service.title,
+      [key('summary')]: service.summary,
+      [key('imageAlt')]: service.imageAlt,
+      [key('modalTitle')]: details.title || service.title,
+      [key('modalImageAlt')]: details.imageAlt,
+      [key('description')]: details.description || service.summary,
+      [key('listTitle')]: details.listTitle || MESSAGES['catalog.details'],
+      [key('priceNote')]: service.price && service.price.note,
+      [key('beforeAlt')]: results.beforeAlt || 'Before',
+      [key('afterAlt')]: results.afterAlt || 'After'
+    };
+    (details.list || []).forEach((item, index) => { messages[key(`item${index + 1}`)] = item; });
+
+    Object.keys(messages).forEach(name => {
+      if (messages[name] === undefined) delete messages[name];
+    });
+    return messages;
+  }
+
+  /**
+   * Markup for a translatable piece of text: rendered in the current
+   * language and marked with data-i18n so the switcher can update it
+   */
+  function text(tag, key, attributes = '') {
+    return `<${tag}${attributes} data-i18n="${key}">${escapeHtml(t(key))}</${tag}>`;
+  }
+
+  /**
+   * Format a price range in the chosen language, e.g. "$150 - $400"
+   * The service's price note is rendered next to it as its own text
+   * @param {{min: number, max?: number}} price
+   */
+  function formatPrice(price) {
+    const currency = new Intl.NumberFormat(window.FriendlyFix.i18n.language, {
+      style: 'currency', currency: 'USD', minimumFractionDigits: 0, maximumFractionDigits: 0
+    });
+    const min = currency.format(price.min);
+    return price.max ? t('catalog.priceRange', { min, max: currency.format(price.max) }) : t('catalog.priceFrom', { min });
+  }
+
+  function renderPrice(service) {
+    const note = service.price.note ? ` ${text('span', `service.${service.id}.priceNote`)}` : '';
+    return `
+        <p>${text('strong', 'catalog.averageCost')} <span data-catalog-price="${escapeHtml(service.id)}">${escapeHtml(formatPrice(service.price))}</span>${note}</p>`;
+  }
+
+  /**
+   * Build a service card
+   * @param {Object} service - Catalog entry
+   * @returns {HTMLElement}
+   */
+  function renderCard(service) {
+    const card = document.createElement('article');
+    card.className = 'card';
+    card.setAttribute('data-searchable', '');
+    card.setAttribute('data-category', service.categories.join(' '));
+    card.setAttribute('data-tilt', '');
+    card.setAttribute('data-service-id', service.id);
+
+    const key = `service.${service.id}`;
+    card.innerHTML = `
+      ${service.image ? `
+      <div class="card-media">
+        <img class="responsive-img" src="${escapeHtml(service.image)}" alt="${escapeHtml(service.imageAlt ? t(`${key}.imageAlt`) : '')}" loading="lazy" data-lightbox${service.imageAlt ? ` data-i18n-attr="alt:${key}.imageAlt"` : ''}>
+      </div>` : ''}
+      ${text('h3', `${key}.title`)}
+      ${text('p', `${key}.summary`)}
+      ${text('button', 'catalog.learnMore', ` class="btn btn-sm" data-modal-target="#modal-${service.id}"`)}
+    `;
+    return card;
+  }
+
+  /**
+   * Build the call to action shown at the bottom of a service modal
+   */
+  function renderCta(service) {
+    if (service.cta === 'call') {
+      return text('a', 'cta.callNow', ' href="tel:+11234567890" class="btn"');
+    }
+    const quoteService = service.quoteService ? ` data-quote-service="${escapeHtml(service.quoteService)}"` : '';
+    return text('a', 'cta.quote', ` href="contact.html" class="btn" data-modal-target="#quote-wizard"${quoteService}`);
+  }
+
+  /**
+   * Before/after photos from a job, shown as a comparison slider
+   * @param {Object} service - Catalog entry with modal.results
+   *   ({ before: string, after: string, beforeAlt?: string, afterAlt?: string })
+   */
+  function renderResults(service) {
+    const results = service.modal.results;
+    const key = `service.${service.id}`;
+    const beforeAlt = escapeHtml(t(`${key}.beforeAlt`));
+    const afterAlt = escapeHtml(t(`${key}.afterAlt`));
+    return `
+      <div class="before-after" data-before="${escapeHtml(results.before)}" data-after="${escapeHtml(results.after)}"
+           data-before-alt="${beforeAlt}" data-after-alt="${afterAlt}" data-expand
+           data-i18n-attr="data-before-alt:${key}.beforeAlt, data-after-alt:${key}.afterAlt">
+        <img src="${escapeHtml(results.before)}" alt="${beforeAlt}" loading="lazy">
+        <img src="${escapeHtml(results.after)}" alt="${afterAlt}" loading="lazy">
+      </div>`;
+  }
+
+  /**
+   * Build a service detail modal
+   * @param {Object} service - Catalog entry
+   * @returns {HTMLElement}
+   */
+  function renderModal(service) {
+    const details = service.modal || {};
+    const key = `service.${service.id}`;
+    const modal = document.createElement('div');
+    modal.id = `modal-${service.id}`;
+    modal.className = 'modal';
+
+    const image = details.image
+      ? `<img src="${escapeHtml(details.image)}" alt="${escapeHtml(details.imageAlt ? t(`${key}.modalImageAlt`) : '')}" class="modal-image" loading="lazy"${details.imageAlt ? ` data-i18n-attr="alt:${key}.modalImageAlt"` : ''}>`
+      : '';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <button class="modal-close" data-modal-close aria-label="${escapeHtml(t('catalog.close'))}" data-i18n-attr="aria-label:catalog.close">&times;</button>
+        ${text('h2', `${key}.modalTitle`)}
+        ${details.results ? renderResults(service) : image}
+        ${text('p', `${key}.description`)}
+        ${details.list ? `
+        ${text('h3', `${key}.listTitle`)}
+        <ul>
+          ${details.list.map((item, index) => text('li', `${key}.item${index + 1}`)).join('')}
+        </ul>` : ''}
+        ${service.price ? renderPrice(service) : ''}
+        ${renderCta(service)}
+      </div>
+    `;
+    return modal;
+  }
+
+  /**
+   * Render the next page of services into one panel
+   * @param {HTMLElement} panel - Element with data-catalog-panel
+   * @returns {HTMLElement[]} The cards that were added
+   */
+  function renderNextPage(panel) {
+    const name = panel.getAttribute('data-catalog-panel');
+    const services = state.services.filter(service => service.panel === name);
+    const start = state.shown[name] || 0;
+    const page = services.slice(start, start + state.pageSize);
+
+    const cards = page.map(service => {
+      const card = renderCard(service);
+      panel.appendChild(card);
+      if (!document.getElementById(`modal-${service.id}`)) {
+        const modal = renderModal(service);
+        document.body.appendChild(modal);
+        window.FriendlyFix.mount(modal);
+      }
+      return card;
+    });
+
+    state.shown[name] = start + page.length;
+    return cards;
+  }
+
+  /**
+   * True when any panel still has services to show
+   */
+  function hasMore() {
+    return state.services.some(service => {
+      const shownInPanel = state.shown[service.panel] || 0;
+      const panelServices = state.services.filter(s => s.panel === service.panel);
+      return panelServices.indexOf(service) >= shownInPanel;
+    });
+  }
+
+  // ==========================================================================
+  // LOAD MORE
+  // ==========================================================================
+
+  function updateLoadMoreButtons() {
+    document.querySelectorAll('[data-load-more="catalog"]').forEach(button => {
+      button.hidden = !hasMore();
+    });
+  }
+
+  /**
+   * Show the next page in every panel, with a staggered fade-in
+   * @param {HTMLElement} root - Element holding the panels
+   */
+  function loadMore(root) {
+    const cards = [];
+    root.querySelectorAll('[data-catalog-panel]').forEach(panel => {
+      cards.push(...renderNextPage(panel));
+    });
+
+    cards.forEach((card, index) => {
+      card.style.opacity = '0';
+      setTimeout(() => {
+        card.style.transition = 'opacity 0.5s ease-out';
+        card.style.opacity = '1';
+      }, index * 100);
+    });
+
+    window.FriendlyFix.enhance(root);
+    updateLoadMoreButtons();
+    return cards;
+  }
+
+  /**
+   * Render pages until a service's card and modal exist, e.g. when a
+   * link or the site search points at a service that isn't shown yet
+   * @param {string} id - Service id, e.g. "heater"
+   * @returns {Promise<HTMLElement|null>} Its modal, or null for unknown ids
+   */
+  async function reveal(id) {
+    await ready;
+    const root = document.querySelector('[data-catalog]');
+    if (!root || !state.services.some(service => service.id === id)) return null;
+    while (!document.getElementById(`modal-${id}`) && hasMore()) loadMore(root);
+    return document.getElementById(`modal-${id}`);
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  function showError(root) {
+    root.querySelectorAll('[data-catalog-panel]').forEach(panel => {
+      panel.innerHTML = `
+        <p class="catalog-error" data-i18n="catalog.loadError">
+          ${escapeHtml(t('catalog.loadError'))}
+          <a href="tel:+11234567890">(123) 456-7890</a>.
+        </p>`;
+    });
+    document.querySelectorAll('[data-load-more="catalog"]').forEach(button => { button.hidden = true; });
+  }
+
+  async function initCatalog() {
+    const root = document.querySelector('[data-catalog]');
+    if (!root || !window.FriendlyFix) return;
+
+    window.FriendlyFix.i18n.addMessages(MESSAGES);
+    root.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await fetch(root.getAttribute('data-catalog'));
+      if (!response.ok) throw new Error(`Catalog request failed (${response.status})`);
+      const data = await response.json();
+
+      state.services = data.services || [];
+      state.pageSize = data.pageSize || state.pageSize;
+      state.services.forEach(service => window.FriendlyFix.i18n.addMessages(serviceMessages(service)));
+
+      root.querySelectorAll('[data-catalog-panel]').forEach(panel => {
+        panel.innerHTML = '';
+        renderNextPage(panel);
+      });
+      window.FriendlyFix.enhance(root);
+      updateLoadMoreButtons();
+    } catch (error) {
+      console.error('Service catalog could not be loaded:', error);
+      showError(root);
+    } finally {
+      root.removeAttribute('aria-busy');
+      readyResolve(state.services);
+    }
+
+    document.querySelectorAll('[data-load-more="catalog"]').forEach(button => {
+      button.addEventListener('click', () => loadMore(root));
+    });
+
+    // Text is switched by the data-i18n bindings; prices are formatted here
+    document.addEventListener('language:change', () => {
+      document.querySelectorAll('[data-catalog-price]').forEach(element => {
+        const service = state.services.find(s => s.id === element.getAttribute('data-catalog-price'));
+        if (service) element.textContent = formatPrice(service.price);
+      });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initCatalog);
+  } else {
+    initCatalog();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.catalog = {
+    ready,                                   // Resolves with the services once rendered
+    get services() { return state.services; },
+    loadMore: () => loadMore(document.querySelector('[data-catalog]')),
+    reveal                                   // (id) → Promise of the service's modal
+  };
+
+})();
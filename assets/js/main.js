@@ -4,9 +4,9 @@
  * This module provides enhanced functionality for the plumbing website including:
  * - Mobile navigation with accessibility features
  * - Smooth scrolling and animations
- * - Form handling with loading states
+ * - Form submission with loading states and an offline queue
  * - Interactive elements (tabs, accordions, modals)
- * - Image gallery with lightbox
+ * - Image gallery with lightbox, before/after photo comparison
  * - Search and filter functionality
  * - Dynamic content loading
  * - Performance optimizations
@@ -27,619 +27,2828 @@
   const toggle = document.querySelector('.nav-toggle');        // Mobile nav toggle button
   const nav = document.querySelector('.site-nav');             // Main navigation menu
   const year = document.getElementById('year');                // Footer year element
-  const contactForm = document.querySelector('.contact-form'); // Contact form element
-  const cards = document.querySelectorAll('.card');            // All card elements for animations
 
   // ==========================================================================
-  // MOBILE NAVIGATION
+  // CONFIGURATION
   // ==========================================================================
-  
-  /**
-   * Initialize mobile navigation functionality
-   * Handles toggle button, outside clicks, and link navigation
-   */
-  function initMobileNav() {
-    // Only initialize if both toggle and nav elements exist
-  if (toggle && nav) {
-      // Toggle button click handler
-    toggle.addEventListener('click', function () {
-        const isOpen = nav.classList.toggle('open');
-      toggle.setAttribute('aria-expanded', String(isOpen));
-        
-        // Add/remove outside click listener based on nav state
-        if (isOpen) {
-          document.addEventListener('click', closeNavOnOutsideClick);
-        } else {
-          document.removeEventListener('click', closeNavOnOutsideClick);
-        }
-      });
-
-      // Close navigation when clicking on any nav link
-      const navLinks = nav.querySelectorAll('a');
-      navLinks.forEach(link => {
-        link.addEventListener('click', () => {
-          nav.classList.remove('open');
-          toggle.setAttribute('aria-expanded', 'false');
-          document.removeEventListener('click', closeNavOnOutsideClick);
-        });
-      });
-    }
-  }
 
   /**
-   * Handle clicks outside the navigation menu
-   * Closes the mobile nav if user clicks outside of it
-   * @param {Event} event - The click event
+   * Site-wide settings. Any value can be overridden per page by defining
+   * `window.FriendlyFixConfig` in a script tag before main.js is loaded.
    */
-  function closeNavOnOutsideClick(event) {
-    // Check if click target is outside both nav and toggle button
-    if (!nav.contains(event.target) && !toggle.contains(event.target)) {
-      nav.classList.remove('open');
-      toggle.setAttribute('aria-expanded', 'false');
-      document.removeEventListener('click', closeNavOnOutsideClick);
+  const config = Object.assign({
+    contactEndpoint: 'api/contact',          // Fallback endpoint when a form has no data-endpoint
+    transport: null,                         // Custom transport: (endpoint, payload) => Promise<{ ok, status, data }>
+    quoteEndpoint: 'api/quote',              // Where the quote wizard sends requests
+    offlineQueueKey: 'friendlyfix-outbox',   // Storage name for submissions queued while offline
+    searchSynonyms: {},                      // Extra search synonyms, e.g. { geyser: ['heater'] }
+    notificationDuration: 5000,              // Default toast lifetime in ms (0 = until dismissed)
+    maxNotifications: 3,                     // Toasts shown at once; the rest are queued
+    notificationHistoryKey: 'friendlyfix-notifications', // sessionStorage key for the history panel
+    geocoder: null,                          // Service area geocoder: (query) => Promise<{ lat, lng, label } | null>
+    locations: null,                         // Map branches/depots array; null = load #map[data-locations]
+    mapTiles: null,                          // Map tiles: { url, attribution, maxZoom, fallbackImage } (see map.js)
+    observeDom: false,                       // Mount components on elements added later (MutationObserver)
+    analyticsEndpoint: 'api/analytics',      // Where analytics.js sends event batches (null = off)
+    analyticsBatchSize: 10,                  // Events per batch
+    analyticsFlushInterval: 15000,           // Send a part-filled batch after this many ms
+    consentKey: 'friendlyfix-consent',       // localStorage key for the analytics consent choice
+    tabsKey: 'friendlyfix-tabs',             // localStorage key for the last tab chosen per container
+    searchIndex: 'assets/data/search-index.json', // Site search palette index (tools/build-search-index.js)
+    vitalsEndpoint: null,                    // Where performance.js sends Web Vitals in production (null = don't send)
+    heroImages: ['home-hero.jpg'],           // URL fragments of images whose load timing is reported
+    imageFallback: 'assets/img/placeholder.svg', // Shown when a lazy image still fails after retries
+    languages: { en: 'English', es: 'Español' }, // Language switcher; the first is the language the pages are written in
+    localePath: 'assets/locales/{lang}.json', // Translation bundles for the other languages
+    languageKey: 'friendlyfix-language',     // localStorage key for the chosen language
+    themeKey: 'friendlyfix-theme',           // localStorage key for the theme (also read by the snippet in each page's <head>; set FriendlyFixConfig before it)
+
+    // Opening hours for the booking calendar (booking.js) and the map popup.
+    // Times are local to timeZone; days without an entry are closed.
+    businessHours: {
+      timeZone: 'America/New_York',
+      days: {
+        mon: ['08:00', '18:00'],
+        tue: ['08:00', '18:00'],
+        wed: ['08:00', '18:00'],
+        thu: ['08:00', '18:00'],
+        fri: ['08:00', '18:00'],
+        sat: ['08:00', '18:00']
+      },
+      holidays: ['2026-11-26', '2026-12-24', '2026-12-25', '2027-01-01'],
+      slotMinutes: 60,                       // Length of a bookable visit
+      bookingDays: 30,                       // How many days ahead can be booked
+      leadMinutes: 120                       // Earliest booking, in minutes from now
     }
-  }
+  }, window.FriendlyFixConfig || {});
 
   // ==========================================================================
-  // SMOOTH SCROLLING
+  // EVENTS
   // ==========================================================================
   
+  const eventListeners = new Map(); // Event type (or "*", "modal:*") → Set of handlers
+  
   /**
-   * Initialize smooth scrolling for anchor links
-   * Provides smooth scrolling behavior for internal page links
+   * Announce something that happened in a component. The event is a
+   * bubbling CustomEvent on the element, so it can be heard on the element
+   * or the document, and is also passed to FriendlyFix.on() handlers.
+   * @param {EventTarget} target - Element the event is about (or document)
+   * @param {string} type - "component:action", e.g. "tab:change"
+   * @param {Object} [detail] - What happened
+   * @param {boolean} [cancelable=false] - Listeners may call preventDefault()
+   * @returns {boolean} False when a listener called preventDefault()
    */
-  function initSmoothScrolling() {
-    // Find all anchor links (links starting with #)
-    const links = document.querySelectorAll('a[href^="#"]');
+  function emit(target, type, detail = {}, cancelable = false) {
+    const event = new CustomEvent(type, { bubbles: true, cancelable, detail });
+    (target || document).dispatchEvent(event);
     
-    links.forEach(link => {
-      link.addEventListener('click', function(e) {
-        const targetId = this.getAttribute('href');
-        
-        // Skip empty anchor links
-        if (targetId === '#') return;
-        
-        // Find the target element
-        const target = document.querySelector(targetId);
-        if (target) {
-          e.preventDefault(); // Prevent default jump behavior
-          
-          // Smooth scroll to target element
-          target.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-          });
+    const namespace = type.split(':')[0] + ':*';
+    [type, namespace, '*'].forEach(key => {
+      (eventListeners.get(key) || []).forEach(handler => {
+        try {
+          handler(event);
+        } catch (error) {
+          console.error(`Error in "${type}" handler:`, error);
         }
       });
     });
+    
+    return !event.defaultPrevented;
+  }
+  
+  /**
+   * Listen to FriendlyFix events from anywhere on the page
+   * @param {string} type - Event type, "tab:*" for a whole component or "*" for everything
+   * @param {Function} handler - Receives the CustomEvent (event.type, event.detail, event.target)
+   * @returns {Function} Removes the handler
+   */
+  function on(type, handler) {
+    if (!eventListeners.has(type)) eventListeners.set(type, new Set());
+    eventListeners.get(type).add(handler);
+    return () => off(type, handler);
+  }
+  
+  function off(type, handler) {
+    const handlers = eventListeners.get(type);
+    if (handlers) handlers.delete(handler);
   }
 
   // ==========================================================================
-  // FORM HANDLING
+  // COMPONENT REGISTRY
   // ==========================================================================
   
+  const components = [];          // Registered components, in mount order
+  const instances = new Map();    // Element → Map<component name, teardown>
+  let domObserver = null;
+  
   /**
-   * Initialize contact form with loading states and validation
-   * Handles form submission with visual feedback
+   * Register a component
+   * @param {string} name - Unique name, e.g. 'tabs'; registering it again replaces it
+   * @param {Object} definition
+   * @param {string} [definition.selector] - Elements to mount on. Omit it for
+   *   page-wide components, which mount once on the document
+   * @param {Function} definition.mount - (element, ctx) => optional teardown.
+   *   Listeners added with ctx.on(target, type, handler, options) are
+   *   removed automatically on unmount
    */
-  function initContactForm() {
-    if (contactForm) {
-      contactForm.addEventListener('submit', function(e) {
-        e.preventDefault(); // Prevent default form submission
-        
-        const submitBtn = this.querySelector('button[type="submit"]');
-        const originalText = submitBtn.textContent;
-        
-        // Add loading state to button
-        submitBtn.classList.add('loading');
-        submitBtn.textContent = 'Sending...';
-        submitBtn.disabled = true;
-        
-        // Simulate form submission (replace with actual API call)
-        setTimeout(() => {
-          // Remove loading state
-          submitBtn.classList.remove('loading');
-          submitBtn.textContent = originalText;
-          submitBtn.disabled = false;
-          
-          // Show success notification
-          showNotification('Thanks! We\'ll be in touch shortly.', 'success');
-          
-          // Reset form fields
-          this.reset();
-        }, 2000);
-      });
+  function registerComponent(name, definition) {
+    const component = Object.assign({ name }, definition);
+    const existing = components.findIndex(c => c.name === name);
+    if (existing >= 0) {
+      components[existing] = component;
+    } else {
+      components.push(component);
     }
   }
-
-  // ==========================================================================
-  // NOTIFICATION SYSTEM
-  // ==========================================================================
   
   /**
-   * Show a toast notification to the user
-   * @param {string} message - The notification message
-   * @param {string} type - The notification type (success, error, info)
-   */
-  function showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.textContent = message;
-    
-    // Apply inline styles for immediate display
-    Object.assign(notification.style, {
-      position: 'fixed',
-      top: '20px',
-      right: '20px',
-      padding: '1rem 1.5rem',
-      borderRadius: '8px',
-      color: 'white',
-      fontWeight: '500',
-      zIndex: '1000',
-      transform: 'translateX(100%)',  // Start off-screen
-      transition: 'transform 0.3s ease-in-out',
-      maxWidth: '300px',
-      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)'
-    });
-    
-    // Set background color based on notification type
-    const colors = {
-      success: '#10b981',  // Green for success
-      error: '#ef4444',    // Red for errors
-      info: '#3b82f6'      // Blue for info
+   * Elements a component should mount on inside root (root included)
+   */
+  function componentTargets(component, root) {
+    if (!component.selector) return root === document ? [document] : [];
+    const targets = Array.from(root.querySelectorAll(component.selector));
+    if (root.matches && root.matches(component.selector)) targets.unshift(root);
+    return targets;
+  }
+  
+  /**
+   * Mount one component on one element, unless it is already mounted there
+   * @returns {boolean} True when it was mounted now
+   */
+  function mountComponent(component, element) {
+    let mounted = instances.get(element);
+    if (mounted && mounted.has(component.name)) return false;
+    
+    const listeners = [];
+    const ctx = {
+      on(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        listeners.push(() => target.removeEventListener(type, handler, options));
+      }
     };
-    notification.style.backgroundColor = colors[type] || colors.info;
     
-    // Add to DOM
-    document.body.appendChild(notification);
+    let teardown = null;
+    try {
+      teardown = component.mount(element, ctx);
+    } catch (error) {
+      console.error(`Component "${component.name}" failed to mount:`, error);
+    }
     
-    // Animate in from right
-    setTimeout(() => {
-      notification.style.transform = 'translateX(0)';
-    }, 100);
+    if (!mounted) {
+      mounted = new Map();
+      instances.set(element, mounted);
+    }
+    mounted.set(component.name, () => {
+      listeners.forEach(remove => remove());
+      if (typeof teardown === 'function') teardown();
+      emit(element, 'component:unmount', { name: component.name, element });
+    });
+    emit(element, 'component:mount', { name: component.name, element });
+    return true;
+  }
+  
+  /**
+   * Mount every registered component inside root. Safe to call again:
+   * elements that already have a component are skipped.
+   * @param {ParentNode} [root=document] - Element (or document) to search
+   * @param {string[]} [names] - Only mount these components
+   */
+  function mount(root = document, names) {
+    components.forEach(component => {
+      if (names && !names.includes(component.name)) return;
+      componentTargets(component, root).forEach(element => mountComponent(component, element));
+    });
+  }
+  
+  /**
+   * Tear down components on root and everything inside it, removing
+   * their listeners. unmount(document) tears down the whole page.
+   * @param {ParentNode} [root=document]
+   * @param {string[]} [names] - Only unmount these components
+   */
+  function unmount(root = document, names) {
+    const order = components.map(component => component.name).reverse();
     
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-      notification.style.transform = 'translateX(100%)';
-      // Remove from DOM after animation completes
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 300);
-    }, 5000);
+    instances.forEach((mounted, element) => {
+      if (root !== document && element !== root && !root.contains(element)) return;
+      
+      order.forEach(name => {
+        if (!mounted.has(name) || (names && !names.includes(name))) return;
+        mounted.get(name)();
+        mounted.delete(name);
+      });
+      if (mounted.size === 0) instances.delete(element);
+    });
   }
-
-  // ==========================================================================
-  // SCROLL ANIMATIONS
-  // ==========================================================================
   
   /**
-   * Initialize scroll-triggered animations using Intersection Observer
-   * Animates elements as they come into view for better user experience
+   * Mount components on elements added to the page later and unmount them
+   * when they are removed (FriendlyFixConfig.observeDom turns this on)
+   * @returns {Function} Stops observing
    */
-  function initScrollAnimations() {
-    // Check if Intersection Observer is supported
-    if ('IntersectionObserver' in window) {
-      // Create observer with custom options
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            // Add animation class when element comes into view
-            entry.target.classList.add('fade-in-up');
-            // Stop observing this element after animation
-            observer.unobserve(entry.target);
-          }
+  function observeDom() {
+    if (!domObserver && 'MutationObserver' in window) {
+      domObserver = new MutationObserver(records => {
+        records.forEach(record => {
+          // Moved nodes (e.g. search reordering) are still connected: leave them be
+          record.removedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) unmount(node);
+          });
+          record.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) mount(node);
+          });
         });
-      }, {
-        threshold: 0.1,                    // Trigger when 10% visible
-        rootMargin: '0px 0px -50px 0px'   // Start animation 50px before element is fully visible
-      });
-
-      // Observe all card elements
-      cards.forEach(card => {
-        observer.observe(card);
-      });
-
-      // Observe all headings for staggered animations
-      const headings = document.querySelectorAll('h1, h2, h3');
-      headings.forEach(heading => {
-        observer.observe(heading);
       });
+      domObserver.observe(document.body, { childList: true, subtree: true });
     }
+    return stopObservingDom;
+  }
+  
+  function stopObservingDom() {
+    if (domObserver) domObserver.disconnect();
+    domObserver = null;
   }
 
   // ==========================================================================
-  // PERFORMANCE OPTIMIZATIONS
+  // TRANSLATIONS
   // ==========================================================================
-  
+
   /**
-   * Initialize lazy loading for images to improve page load performance
-   * Only loads images when they're about to come into view
+   * English text for everything main.js shows. Other languages come from
+   * JSON bundles (config.localePath) with the same keys; a value can be a
+   * plural set ({ one, other, ... }) picked with Intl.PluralRules.
    */
-  function initLazyLoading() {
-    // Check if Intersection Observer is supported
-    if ('IntersectionObserver' in window) {
-      // Create image observer
-      const imageObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            const img = entry.target;
-            // Load image from data-src attribute
-            if (img.dataset.src) {
-              img.src = img.dataset.src;
-              img.classList.remove('lazy');
-              // Stop observing this image
-              imageObserver.unobserve(img);
-            }
-          }
-        });
-      });
+  const MESSAGES = {
+    'language.label': 'Language',
+    'language.loadError': 'Sorry, that language couldn\'t be loaded. Please try again.',
+    'form.sending': 'Sending...',
+    'form.queued': 'You\'re offline. We saved your message and will send it once you\'re back online.',
+    'form.sent': 'Thanks! We\'ll be in touch shortly.',
+    'form.serverError': 'Sorry, we couldn\'t send your message (error {status}). Please try again or give us a call.',
+    'form.retry': 'Retry',
+    'outbox.sent': {
+      one: 'Your saved message has been sent. We\'ll be in touch shortly.',
+      other: '{count} saved messages have been sent. We\'ll be in touch shortly.'
+    },
+    'notification.dismiss': 'Dismiss notification',
+    'notification.history': 'Notification history',
+    'notification.historyTitle': 'Notifications',
+    'notification.clear': 'Clear',
+    'notification.closeHistory': 'Close notification history',
+    'notification.empty': 'No notifications yet.',
+    'tabs.loadError': 'This section couldn\'t be loaded.',
+    'tabs.retry': 'Try again',
+    'accordion.expandAll': 'Expand all',
+    'accordion.collapseAll': 'Collapse all',
+    'lightbox.label': 'Image viewer',
+    'lightbox.close': 'Close lightbox',
+    'lightbox.previous': 'Previous image',
+    'lightbox.next': 'Next image',
+    'lightbox.counter': '{index} of {total}',
+    'beforeAfter.before': 'Before',
+    'beforeAfter.after': 'After',
+    'beforeAfter.beforeCaption': 'Before: {alt}',
+    'beforeAfter.afterCaption': 'After: {alt}',
+    'beforeAfter.label': 'Before and after comparison',
+    'beforeAfter.valueText': '{before}% before, {after}% after',
+    'beforeAfter.expand': 'View both photos',
+    'search.noResults': 'No results found. Try a different search term.',
+    'search.results': { one: '{count} result', other: '{count} results' },
+    'search.resultsFor': '{results} for “{query}”',
+    'content.loading': 'Loading...',
+    'theme.toggle': 'Theme: {theme}',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.system': 'System',
+    'theme.contrast': 'High contrast'
+  };
 
-      // Find all lazy-loaded images
-      const lazyImages = document.querySelectorAll('img[data-src]');
-      lazyImages.forEach(img => {
-        imageObserver.observe(img);
-      });
-    }
+  const pageLanguage = Object.keys(config.languages)[0] || 'en'; // Language the HTML is written in
+  const bundles = new Map();        // Language → Promise of its bundle
+  const loadedBundles = new Map();  // Language → bundle, once loaded
+  const originalText = new WeakMap(); // Element → { text: { key, value }, attrs: { name: { key, value } } }
+  let language = pageLanguage;
+  let languageReady = Promise.resolve(true); // Settles once the starting language is in place
+
+  /**
+   * Translate a key into the current language
+   * Falls back to the English text, then to the key itself. `{name}`
+   * placeholders are filled from vars; numbers are formatted for the
+   * language, and vars.count picks the plural form.
+   * @param {string} key - e.g. 'form.sent'
+   * @param {Object} [vars] - Values for the placeholders
+   * @returns {string}
+   */
+  function t(key, vars = {}) {
+    return formatMessage(lookupMessage(key), vars) || key;
   }
 
-  // ==========================================================================
-  // KEYBOARD NAVIGATION
-  // ==========================================================================
-  
   /**
-   * Initialize keyboard navigation improvements
-   * Provides better accessibility for keyboard users
+   * Add the English text for another script's keys (catalog.js,
+   * quote-wizard.js, ...). Bundles still win; keys already defined are kept.
+   * @param {Object} messages - Key → text or plural set
    */
-  function initKeyboardNavigation() {
-    document.addEventListener('keydown', function(e) {
-      // Close mobile navigation with Escape key
-      if (e.key === 'Escape' && nav && nav.classList.contains('open')) {
-        nav.classList.remove('open');
-        toggle.setAttribute('aria-expanded', 'false');
-        toggle.focus(); // Return focus to toggle button
-      }
+  function addMessages(messages) {
+    Object.keys(messages).forEach(key => {
+      if (MESSAGES[key] === undefined) MESSAGES[key] = messages[key];
     });
   }
 
-  // ==========================================================================
-  // INITIALIZATION
-  // ==========================================================================
-  
+  function lookupMessage(key) {
+    const bundle = loadedBundles.get(language);
+    if (bundle && bundle[key] !== undefined) return bundle[key];
+    return MESSAGES[key];
+  }
+
+  function formatMessage(message, vars) {
+    if (message && typeof message === 'object') {
+      const count = Number(vars.count);
+      const form = isNaN(count) ? 'other' : pluralRules().select(count);
+      message = message[count === 0 && message.zero !== undefined ? 'zero' : form] || message.other;
+    }
+    if (typeof message !== 'string') return '';
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (vars[name] === undefined) return placeholder;
+      return typeof vars[name] === 'number' ? formatNumber(vars[name]) : String(vars[name]);
+    });
+  }
+
+  function pluralRules() {
+    try {
+      return new Intl.PluralRules(language);
+    } catch (error) {
+      return new Intl.PluralRules('en');
+    }
+  }
+
   /**
-   * Initialize all website functionality
-   * Sets up all interactive features and enhancements
+   * Format a number for the current language, e.g. 1234.5 → "1,234.5" / "1.234,5"
+   * @param {number} value
+   * @param {Object} [options] - Intl.NumberFormat options
    */
-  function init() {
-    // Set current year in footer
-    if (year) {
-      year.textContent = new Date().getFullYear();
+  function formatNumber(value, options) {
+    return new Intl.NumberFormat(language, options).format(value);
+  }
+
+  /**
+   * Format a date for the current language
+   * @param {Date|string|number} date
+   * @param {Object} [options] - Intl.DateTimeFormat options
+   */
+  function formatDate(date, options) {
+    return new Intl.DateTimeFormat(language, options).format(new Date(date));
+  }
+
+  /**
+   * Translate the text and attributes of one element
+   * data-i18n="key" sets the text. When the element has child elements
+   * (a label around its input, a button with a count badge) only its
+   * first piece of text is replaced. data-i18n-attr="placeholder:key,
+   * aria-label:key" sets attributes. Keys missing from the bundle keep
+   * the text the page was written with.
+   */
+  function translateElement(element) {
+    const saved = originalText.get(element) || { text: null, attrs: {} };
+    originalText.set(element, saved);
+
+    const key = element.getAttribute('data-i18n');
+    const target = key && textTarget(element);
+    if (target) {
+      if (!saved.text || saved.text.key !== key) saved.text = { key, value: target.textContent.trim() };
+      const value = translationFor(key, saved.text.value);
+      const [, before, , after] = target.textContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      target.textContent = before + value + after;
     }
 
-    // Initialize all feature modules
-    initMobileNav();           // Mobile navigation functionality
-    initSmoothScrolling();     // Smooth scrolling for anchor links
-    initContactForm();         // Contact form handling
-    initScrollAnimations();    // Scroll-triggered animations
-    initLazyLoading();         // Image lazy loading
-    initKeyboardNavigation();  // Keyboard accessibility
-    
-    // Initialize new interactive features
-    initTabs();                // Tab navigation
-    initAccordions();          // Accordion panels
-    initModals();              // Modal dialogs
-    initLightbox();            // Image lightbox gallery
-    initSearch();              // Search and filter
-    initDynamicContent();      // Dynamic content loading
-    initAdvancedAnimations();  // Advanced animations
+    (element.getAttribute('data-i18n-attr') || '').split(',').forEach(pair => {
+      const [name, attrKey] = pair.split(':').map(part => part.trim());
+      if (!name || !attrKey) return;
+      const original = saved.attrs[name];
+      if (!original || original.key !== attrKey) {
+        saved.attrs[name] = { key: attrKey, value: element.getAttribute(name) || '' };
+      }
+      element.setAttribute(name, translationFor(attrKey, saved.attrs[name].value));
+    });
+  }
 
-    // Add loaded class to body for CSS animations
-    document.body.classList.add('loaded');
+  /**
+   * Node whose text data-i18n replaces: the element itself, or its first
+   * non-blank text node when it has child elements
+   */
+  function textTarget(element) {
+    if (!element.children.length) return element;
+    return Array.from(element.childNodes).find(node =>
+      node.nodeType === Node.TEXT_NODE && node.textContent.trim()) || null;
   }
 
-  // ==========================================================================
-  // MODULE INITIALIZATION
-  // ==========================================================================
-  
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    // DOM is still loading, wait for DOMContentLoaded event
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    // DOM is already loaded, initialize immediately
-    init();
+  function translationFor(key, fallback) {
+    const bundle = loadedBundles.get(language);
+    if (bundle && typeof bundle[key] === 'string') return bundle[key];
+    return typeof MESSAGES[key] === 'string' ? MESSAGES[key] : fallback;
   }
 
-  // ==========================================================================
-  // PUBLIC API
-  // ==========================================================================
-  
-  // ==========================================================================
-  // TABS FUNCTIONALITY
-  // ==========================================================================
-  
   /**
-   * Initialize tab navigation
-   * Allows switching between different content panels
+   * Translate every [data-i18n] / [data-i18n-attr] element inside root
+   * @param {ParentNode} [root=document]
    */
-  function initTabs() {
-    const tabContainers = document.querySelectorAll('.tabs-container');
-    
-    tabContainers.forEach(container => {
-      const tabButtons = container.querySelectorAll('.tab-button');
-      const tabPanels = container.querySelectorAll('.tab-panel');
-      
-      tabButtons.forEach((button, index) => {
-        button.addEventListener('click', () => {
-          // Remove active state from all buttons and panels
-          tabButtons.forEach(btn => {
-            btn.classList.remove('active');
-            btn.setAttribute('aria-selected', 'false');
-          });
-          tabPanels.forEach(panel => {
-            panel.classList.remove('active');
-            panel.setAttribute('aria-hidden', 'true');
-          });
-          
-          // Add active state to clicked button and corresponding panel
-          button.classList.add('active');
-          button.setAttribute('aria-selected', 'true');
-          tabPanels[index].classList.add('active');
-          tabPanels[index].setAttribute('aria-hidden', 'false');
-          
-          // Animate panel entrance
-          tabPanels[index].style.animation = 'fadeInUp 0.3s ease-out';
-        });
-        
-        // Keyboard navigation for tabs
-        button.addEventListener('keydown', (e) => {
-          let newIndex = index;
-          
-          if (e.key === 'ArrowRight') {
-            newIndex = (index + 1) % tabButtons.length;
-          } else if (e.key === 'ArrowLeft') {
-            newIndex = (index - 1 + tabButtons.length) % tabButtons.length;
-          } else if (e.key === 'Home') {
-            newIndex = 0;
-          } else if (e.key === 'End') {
-            newIndex = tabButtons.length - 1;
-          } else {
-            return;
-          }
-          
-          e.preventDefault();
-          tabButtons[newIndex].click();
-          tabButtons[newIndex].focus();
-        });
-      });
-    });
+  function translate(root = document) {
+    const selector = '[data-i18n], [data-i18n-attr]';
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) elements.unshift(root);
+    elements.forEach(translateElement);
   }
 
-  // ==========================================================================
-  // ACCORDION FUNCTIONALITY
-  // ==========================================================================
-  
   /**
-   * Initialize accordion panels
-   * Expandable/collapsible content sections
+   * Fetch a language's bundle once. The page language needs none.
+   * @returns {Promise<Object>}
    */
-  function initAccordions() {
-    const accordions = document.querySelectorAll('.accordion');
-    
-    accordions.forEach(accordion => {
-      const items = accordion.querySelectorAll('.accordion-item');
-      
-      items.forEach(item => {
-        const header = item.querySelector('.accordion-header');
-        const content = item.querySelector('.accordion-content');
-        const icon = item.querySelector('.accordion-icon');
-        
-        if (!header || !content) return;
-        
-        header.addEventListener('click', () => {
-          const isOpen = item.classList.contains('active');
-          
-          // Close all other items if not multi-open
-          if (!accordion.hasAttribute('data-multi-open')) {
-            items.forEach(otherItem => {
-              if (otherItem !== item) {
-                otherItem.classList.remove('active');
-                const otherContent = otherItem.querySelector('.accordion-content');
-                const otherIcon = otherItem.querySelector('.accordion-icon');
-                if (otherContent) otherContent.style.maxHeight = null;
-                if (otherIcon) otherIcon.style.transform = 'rotate(0deg)';
-              }
-            });
-          }
-          
-          // Toggle current item
-          item.classList.toggle('active');
-          
-          if (isOpen) {
-            content.style.maxHeight = null;
-            if (icon) icon.style.transform = 'rotate(0deg)';
-          } else {
-            content.style.maxHeight = content.scrollHeight + 'px';
-            if (icon) icon.style.transform = 'rotate(180deg)';
-          }
+  function loadBundle(code) {
+    if (code === pageLanguage) return Promise.resolve({});
+    if (!bundles.has(code)) {
+      const url = config.localePath.replace('{lang}', code);
+      const load = fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`Translations request failed (${response.status})`);
+          return response.json();
+        })
+        .then(bundle => {
+          loadedBundles.set(code, bundle);
+          return bundle;
+        })
+        .catch(error => {
+          bundles.delete(code); // Try again next time
+          throw error;
         });
-      });
-    });
+      bundles.set(code, load);
+    }
+    return bundles.get(code);
   }
 
-  // ==========================================================================
-  // MODAL FUNCTIONALITY
-  // ==========================================================================
-  
   /**
-   * Initialize modal dialogs
-   * Popup windows for quotes, details, etc.
+   * Language to start in: the saved choice, else the first of the
+   * browser's languages we offer (matching "es-MX" to "es"), else the
+   * page language
    */
-  function initModals() {
-    const modalTriggers = document.querySelectorAll('[data-modal-target]');
-    const modalCloses = document.querySelectorAll('[data-modal-close]');
-    const modals = document.querySelectorAll('.modal');
-    
-    // Open modal
-    modalTriggers.forEach(trigger => {
-      trigger.addEventListener('click', (e) => {
-        e.preventDefault();
-        const modalId = trigger.getAttribute('data-modal-target');
-        const modal = document.querySelector(modalId);
-        
-        if (modal) {
-          modal.classList.add('active');
-          document.body.style.overflow = 'hidden'; // Prevent body scroll
-          
-          // Focus trap
-          const focusableElements = modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-          );
-          if (focusableElements.length > 0) {
-            focusableElements[0].focus();
-          }
-        }
-      });
-    });
-    
-    // Close modal
-    modalCloses.forEach(closeBtn => {
-      closeBtn.addEventListener('click', () => {
-        const modal = closeBtn.closest('.modal');
-        closeModal(modal);
-      });
-    });
-    
-    // Close on backdrop click
-    modals.forEach(modal => {
-      modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-          closeModal(modal);
-        }
-      });
-    });
-    
-    // Close on Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        const activeModal = document.querySelector('.modal.active');
-        if (activeModal) {
-          closeModal(activeModal);
-        }
-      }
-    });
-  }
-  
-  function closeModal(modal) {
-    if (modal) {
-      modal.classList.remove('active');
-      document.body.style.overflow = ''; // Restore body scroll
+  function preferredLanguage() {
+    try {
+      const saved = localStorage.getItem(config.languageKey);
+      if (saved && config.languages[saved]) return saved;
+    } catch (error) {
+      // Storage unavailable: fall through to the browser's languages
+    }
+
+    const wanted = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of wanted.filter(Boolean)) {
+      const code = tag.toLowerCase();
+      if (config.languages[code]) return code;
+      if (config.languages[code.split('-')[0]]) return code.split('-')[0];
     }
+    return pageLanguage;
   }
 
-  // ==========================================================================
-  // LIGHTBOX GALLERY
-  // ==========================================================================
-  
   /**
-   * Initialize lightbox for image galleries
-   * Click to view images in fullscreen
+   * Switch the page to another language: load its bundle, translate the
+   * page, remember the choice and emit language:change
+   * @param {string} code - A key of config.languages, e.g. 'es'
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Save the choice in localStorage
+   * @returns {Promise<boolean>} Whether the language is now in use
    */
-  function initLightbox() {
-    // Create lightbox structure if it doesn't exist
-    if (!document.querySelector('.lightbox')) {
-      const lightbox = document.createElement('div');
-      lightbox.className = 'lightbox';
-      lightbox.innerHTML = `
-        <button class="lightbox-close" aria-label="Close lightbox">&times;</button>
-        <button class="lightbox-prev" aria-label="Previous image">&larr;</button>
-        <button class="lightbox-next" aria-label="Next image">&rarr;</button>
-        <div class="lightbox-content">
-          <img src="" alt="" class="lightbox-image">
-          <div class="lightbox-caption"></div>
-        </div>
-      `;
-      document.body.appendChild(lightbox);
+  async function setLanguage(code, { persist = true } = {}) {
+    if (!config.languages[code]) return false;
+
+    try {
+      await loadBundle(code);
+    } catch (error) {
+      console.warn(`Could not load the "${code}" translations:`, error);
+      if (persist) showNotification(t('language.loadError'), 'error');
+      return false;
+    }
+
+    if (persist) {
+      try {
+        localStorage.setItem(config.languageKey, code);
+      } catch (error) {
+        // Storage unavailable: the choice lasts for this page only
+      }
     }
+
+    const previousLanguage = language;
+    language = code;
+    document.documentElement.lang = code;
+    translate(document);
+    if (code !== previousLanguage) emit(document, 'language:change', { language: code, previousLanguage });
+    return true;
+  }
+
+  /**
+   * Page copy component: translates [data-i18n] elements as they are
+   * mounted, so content loaded later (tab panels, catalog modals) follows
+   * the chosen language
+   */
+  function mountTranslation(element) {
+    if (language !== pageLanguage) translateElement(element);
+  }
+
+  /**
+   * Language buttons at the end of the main navigation (page-wide
+   * component). Only shown when more than one language is configured.
+   */
+  function mountLanguageSwitcher(root, ctx) {
+    const codes = Object.keys(config.languages);
+    const list = nav && nav.querySelector('ul');
+    if (!list || codes.length < 2) return;
+
+    const item = document.createElement('li');
+    item.className = 'language-switcher-item';
+    const group = document.createElement('div');
+    group.className = 'language-switcher';
+    group.setAttribute('role', 'group');
+    group.setAttribute('data-i18n-attr', 'aria-label:language.label');
+
+    codes.forEach(code => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.lang = code;                   // Each name is written in its own language
+      button.setAttribute('data-language', code);
+      button.textContent = config.languages[code];
+      group.appendChild(button);
+    });
+    item.appendChild(group);
+    list.appendChild(item);
+    translate(group);
+
+    const update = () => {
+      group.querySelectorAll('[data-language]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.getAttribute('data-language') === language));
+      });
+    };
+    update();
+
+    ctx.on(group, 'click', e => {
+      const button = e.target.closest('[data-language]');
+      if (button) setLanguage(button.getAttribute('data-language'));
+    });
+    ctx.on(document, 'language:change', update);
+    return () => item.remove();
+  }
+
+  // ==========================================================================
+  // THEME
+  // ==========================================================================
+
+  /**
+   * The theme is set as <html data-theme="light|dark"> (plus
+   * data-contrast="more" for high contrast) and styles.css swaps its design
+   * tokens from there, so toasts, the lightbox and map popups follow it
+   * too. A snippet in each page's <head> applies the saved choice before
+   * the first paint; this section keeps it up to date afterwards.
+   */
+  const THEMES = ['light', 'dark', 'system'];
+  const CONTRASTS = ['more', 'normal', 'system'];
+  const THEME_ICONS = { light: '☀', dark: '☾', system: '◐' };
+  const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+  const contrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+  const themeChoice = readThemeChoice(); // { theme, contrast } as chosen; 'system' follows the device
+
+  function readThemeChoice() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(config.themeKey)) || {};
+    } catch (error) {
+      // Storage unavailable or corrupt: follow the device
+    }
+    return {
+      theme: THEMES.includes(saved.theme) ? saved.theme : 'system',
+      contrast: CONTRASTS.includes(saved.contrast) ? saved.contrast : 'system'
+    };
+  }
+
+  /**
+   * The current choice and what it resolves to on this device
+   * @returns {{theme: string, contrast: string, resolved: string, highContrast: boolean}}
+   */
+  function currentTheme() {
+    const dark = themeChoice.theme === 'system'
+      ? Boolean(colorSchemeQuery && colorSchemeQuery.matches)
+      : themeChoice.theme === 'dark';
+    const highContrast = themeChoice.contrast === 'system'
+      ? Boolean(contrastQuery && contrastQuery.matches)
+      : themeChoice.contrast === 'more';
+    return Object.assign({}, themeChoice, { resolved: dark ? 'dark' : 'light', highContrast });
+  }
+
+  /**
+   * Put the resolved theme on <html>
+   * @returns {boolean} Whether anything changed
+   */
+  function applyTheme() {
+    const { resolved, highContrast } = currentTheme();
+    const root = document.documentElement;
+    const changed = root.getAttribute('data-theme') !== resolved ||
+      root.hasAttribute('data-contrast') !== highContrast;
+
+    root.setAttribute('data-theme', resolved);
+    if (highContrast) {
+      root.setAttribute('data-contrast', 'more');
+    } else {
+      root.removeAttribute('data-contrast');
+    }
+    return changed;
+  }
+
+  /**
+   * Choose a theme and/or contrast, remember it and emit theme:change
+   * @param {string} [theme] - 'light', 'dark' or 'system'; null keeps the current one
+   * @param {Object} [options]
+   * @param {string} [options.contrast] - 'more' (high contrast), 'normal' or 'system'
+   * @param {boolean} [options.persist=true] - Save the choice in localStorage
+   * @returns {{theme: string, contrast: string, resolved: string, highContrast: boolean}}
+   */
+  function setTheme(theme, { contrast, persist = true } = {}) {
+    if (THEMES.includes(theme)) themeChoice.theme = theme;
+    if (CONTRASTS.includes(contrast)) themeChoice.contrast = contrast;
+
+    if (persist) {
+      try {
+        localStorage.setItem(config.themeKey, JSON.stringify(themeChoice));
+      } catch (error) {
+        // Storage unavailable: the choice lasts for this page only
+      }
+    }
+
+    applyTheme();
+    const detail = currentTheme();
+    emit(document, 'theme:change', detail);
+    return detail;
+  }
+
+  /**
+   * Follow device changes while the choice is "system", and add the theme
+   * and high contrast buttons to the main navigation (page-wide component)
+   */
+  function mountTheme(root, ctx) {
+    applyTheme();
+
+    const onDeviceChange = () => {
+      if (applyTheme()) emit(document, 'theme:change', currentTheme());
+    };
+    [colorSchemeQuery, contrastQuery].forEach(query => {
+      if (query && query.addEventListener) ctx.on(query, 'change', onDeviceChange);
+    });
+
+    const list = nav && nav.querySelector('ul');
+    if (!list) return;
+
+    const item = document.createElement('li');
+    item.className = 'theme-switcher-item';
+    item.innerHTML = `
+      <div class="theme-switcher">
+        <button type="button" class="theme-toggle" data-theme-toggle>
+          <span class="theme-toggle-icon" aria-hidden="true"></span>
+        </button>
+        <button type="button" class="contrast-toggle" data-contrast-toggle data-i18n-attr="aria-label:theme.contrast, title:theme.contrast">
+          <span aria-hidden="true">Aa</span>
+        </button>
+      </div>`;
+    list.appendChild(item);
+    translate(item);
+
+    const themeButton = item.querySelector('[data-theme-toggle]');
+    const contrastButton = item.querySelector('[data-contrast-toggle]');
+    const update = () => {
+      const { theme, highContrast } = currentTheme();
+      const label = t('theme.toggle', { theme: t(`theme.${theme}`) });
+      themeButton.querySelector('.theme-toggle-icon').textContent = THEME_ICONS[theme];
+      themeButton.setAttribute('aria-label', label);
+      themeButton.title = label;
+      contrastButton.setAttribute('aria-pressed', String(highContrast));
+    };
+    update();
+
+    // Light → dark → system → light
+    ctx.on(themeButton, 'click', () => {
+      setTheme(THEMES[(THEMES.indexOf(themeChoice.theme) + 1) % THEMES.length]);
+    });
+    ctx.on(contrastButton, 'click', () => {
+      setTheme(null, { contrast: currentTheme().highContrast ? 'normal' : 'more' });
+    });
+    ctx.on(document, 'theme:change', update);
+    ctx.on(document, 'language:change', update);
+    return () => item.remove();
+  }
+
+  // ==========================================================================
+  // MOBILE NAVIGATION
+  // ==========================================================================
+  
+  /**
+   * Mobile navigation functionality (page-wide component)
+   * Handles toggle button, outside clicks, and link navigation
+   */
+  function mountMobileNav(root, ctx) {
+    // Only initialize if both toggle and nav elements exist
+    if (!toggle || !nav) return;
+    
+    // Toggle button click handler
+    ctx.on(toggle, 'click', function () {
+      const isOpen = nav.classList.toggle('open');
+      toggle.setAttribute('aria-expanded', String(isOpen));
+      emit(nav, 'nav:toggle', { open: isOpen });
+      
+      // Add/remove outside click listener based on nav state
+      if (isOpen) {
+        document.addEventListener('click', closeNavOnOutsideClick);
+      } else {
+        document.removeEventListener('click', closeNavOnOutsideClick);
+      }
+    });
+    
+    // Close navigation when clicking on any nav link
+    const navLinks = nav.querySelectorAll('a');
+    navLinks.forEach(link => {
+      ctx.on(link, 'click', () => {
+        nav.classList.remove('open');
+        toggle.setAttribute('aria-expanded', 'false');
+        document.removeEventListener('click', closeNavOnOutsideClick);
+      });
+    });
+    
+    return () => document.removeEventListener('click', closeNavOnOutsideClick);
+  }
+
+  /**
+   * Handle clicks outside the navigation menu
+   * Closes the mobile nav if user clicks outside of it
+   * @param {Event} event - The click event
+   */
+  function closeNavOnOutsideClick(event) {
+    // Check if click target is outside both nav and toggle button
+    if (!nav.contains(event.target) && !toggle.contains(event.target)) {
+      nav.classList.remove('open');
+      toggle.setAttribute('aria-expanded', 'false');
+      document.removeEventListener('click', closeNavOnOutsideClick);
+    }
+  }
+
+  // ==========================================================================
+  // SMOOTH SCROLLING
+  // ==========================================================================
+  
+  /**
+   * Smooth scrolling for an anchor link (links starting with #)
+   * Provides smooth scrolling behavior for internal page links
+   */
+  function mountSmoothScrolling(link, ctx) {
+    ctx.on(link, 'click', function(e) {
+      const targetId = this.getAttribute('href');
+      
+      // Skip empty anchor links
+      if (targetId === '#') return;
+      
+      // Find the target element
+      const target = document.querySelector(targetId);
+      if (target) {
+        e.preventDefault(); // Prevent default jump behavior
+        
+        // Smooth scroll to target element
+        target.scrollIntoView({
+          behavior: 'smooth',
+          block: 'start'
+        });
+      }
+    });
+  }
+
+  // ==========================================================================
+  // FORM HANDLING
+  // ==========================================================================
+  
+  /**
+   * Contact form with loading states and validation
+   * Serializes the fields and posts them to the form's data-endpoint
+   * (or config.contactEndpoint), queueing the message when offline
+   */
+  function mountContactForm(contactForm, ctx) {
+    ctx.on(contactForm, 'submit', async function(e) {
+      e.preventDefault(); // Prevent default form submission
+      
+      const form = this;
+      const submitBtn = form.querySelector('button[type="submit"]');
+      const originalText = submitBtn.textContent;
+      const endpoint = form.getAttribute('data-endpoint') || config.contactEndpoint;
+      const data = serializeForm(form);
+      
+      // Listeners can veto the submission, e.g. for extra checks
+      if (!emit(form, 'form:beforesubmit', { form, data, endpoint }, true)) return;
+      
+      // Add loading state to button
+      submitBtn.classList.add('loading');
+      submitBtn.textContent = t('form.sending');
+      submitBtn.disabled = true;
+      
+      try {
+        const result = await sendSubmission(endpoint, data);
+        emit(form, 'form:submit', { form, data, endpoint, status: result.status, response: result.data || null });
+        
+        if (result.status === 'queued') {
+          showNotification(t('form.queued'), 'warning');
+        } else {
+          showNotification(t('form.sent'), 'success');
+        }
+        
+        // Reset form fields
+        form.reset();
+      } catch (error) {
+        // Server rejected the message - keep the fields so the user can retry
+        emit(form, 'form:error', { form, data, endpoint, error });
+        showNotification(error.message, 'error', {
+          duration: 0,
+          action: { label: t('form.retry'), onClick: () => form.requestSubmit() }
+        });
+      } finally {
+        // Remove loading state
+        submitBtn.classList.remove('loading');
+        submitBtn.textContent = originalText;
+        submitBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Collect a form's fields into a plain object
+   * Repeated field names (e.g. checkbox groups) become arrays
+   * @param {HTMLFormElement} form - The form to serialize
+   * @returns {Object} Field values keyed by name
+   */
+  function serializeForm(form) {
+    const data = {};
+    
+    new FormData(form).forEach((value, key) => {
+      const clean = typeof value === 'string' ? value.trim() : value;
+      if (Object.prototype.hasOwnProperty.call(data, key)) {
+        data[key] = [].concat(data[key], clean);
+      } else {
+        data[key] = clean;
+      }
+    });
+    
+    return data;
+  }
+
+  /**
+   * Default transport: POST the payload as JSON with fetch
+   * @param {string} endpoint - URL to post to
+   * @param {Object} payload - Data to send
+   * @returns {Promise<{ok: boolean, status: number, data: Object}>}
+   */
+  async function fetchTransport(endpoint, payload) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+    
+    // Error pages are not always JSON, so fall back to an empty body
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  }
+
+  /**
+   * Send a payload through the configured transport
+   * @param {string} endpoint - URL to post to
+   * @param {Object} payload - Data to send
+   */
+  function transport(endpoint, payload) {
+    return (config.transport || fetchTransport)(endpoint, payload);
+  }
+
+  /**
+   * Build a user-facing message from a failed server response
+   * @param {{status: number, data: Object}} result - Transport result
+   * @returns {string} Message suitable for showNotification
+   */
+  function describeServerError(result) {
+    const data = result.data || {};
+    return data.message || data.error || t('form.serverError', { status: String(result.status) });
+  }
+
+  /**
+   * Submit a payload, queueing it for later when the browser is offline
+   * or the server can't be reached
+   * @param {string} endpoint - URL to post to
+   * @param {Object} payload - Data to send
+   * @returns {Promise<{status: string, data?: Object}>} `sent` or `queued`
+   * @throws {Error} When the server responds with an error status
+   */
+  async function sendSubmission(endpoint, payload) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      endpoint,
+      payload,
+      queuedAt: new Date().toISOString()
+    };
+    
+    if (!navigator.onLine) {
+      await outbox.add(entry);
+      return { status: 'queued' };
+    }
+    
+    let result;
+    try {
+      result = await transport(endpoint, payload);
+    } catch (networkError) {
+      // fetch only rejects when the request never reached the server
+      await outbox.add(entry);
+      return { status: 'queued' };
+    }
+    
+    if (!result.ok) {
+      const error = new Error(describeServerError(result));
+      error.status = result.status;
+      throw error;
+    }
+    
+    return { status: 'sent', data: result.data };
+  }
+
+  // ==========================================================================
+  // OFFLINE SUBMISSION QUEUE
+  // ==========================================================================
+
+  /**
+   * Persistent queue of submissions waiting for a connection
+   * Stored in IndexedDB, falling back to localStorage where IndexedDB is
+   * unavailable (private browsing, older browsers)
+   */
+  const outbox = (function () {
+    const DB_NAME = 'friendlyfix';
+    const STORE = 'outbox';
+    let dbPromise = null;
+    
+    // Resolves to the database, or null when localStorage should be used
+    function openDatabase() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+          }
+          const request = indexedDB.open(DB_NAME, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }).catch(() => null);
+      }
+      return dbPromise;
+    }
+    
+    function storeRequest(db, mode, operation) {
+      return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    
+    function readLocal() {
+      try {
+        return JSON.parse(localStorage.getItem(config.offlineQueueKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+    
+    function writeLocal(entries) {
+      try {
+        localStorage.setItem(config.offlineQueueKey, JSON.stringify(entries));
+      } catch (error) {
+        // Storage full or disabled - nothing more we can do
+      }
+    }
+    
+    return {
+      async add(entry) {
+        const db = await openDatabase();
+        if (db) return storeRequest(db, 'readwrite', store => store.put(entry));
+        writeLocal(readLocal().concat(entry));
+      },
+      async all() {
+        const db = await openDatabase();
+        if (db) return storeRequest(db, 'readonly', store => store.getAll());
+        return readLocal();
+      },
+      async remove(id) {
+        const db = await openDatabase();
+        if (db) return storeRequest(db, 'readwrite', store => store.delete(id));
+        writeLocal(readLocal().filter(entry => entry.id !== id));
+      }
+    };
+  })();
+
+  let flushingOutbox = false;
+
+  /**
+   * Retry every queued submission, oldest first
+   * Stops at the first network failure and keeps 5xx responses for later;
+   * 4xx responses are dropped because resending would fail the same way
+   */
+  async function flushOutbox() {
+    if (flushingOutbox || !navigator.onLine) return;
+    flushingOutbox = true;
+    
+    try {
+      const entries = (await outbox.all()).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+      let sentCount = 0;
+      
+      for (const entry of entries) {
+        let result;
+        try {
+          result = await transport(entry.endpoint, entry.payload);
+        } catch (networkError) {
+          break; // Still unreachable - try again on the next online event
+        }
+        
+        if (result.ok) {
+          await outbox.remove(entry.id);
+          sentCount++;
+        } else if (result.status < 500) {
+          await outbox.remove(entry.id);
+          showNotification(describeServerError(result), 'error');
+        }
+      }
+      
+      if (sentCount > 0) {
+        emit(document, 'outbox:flush', { sent: sentCount });
+        showNotification(t('outbox.sent', { count: sentCount }), 'success');
+      }
+    } finally {
+      flushingOutbox = false;
+    }
+  }
+
+  /**
+   * Send queued submissions when the connection returns, and on page load
+   * in case the user left a page before the queue was flushed
+   */
+  function mountOfflineQueue(root, ctx) {
+    ctx.on(window, 'online', flushOutbox);
+    flushOutbox();
+  }
+
+  // ==========================================================================
+  // NOTIFICATION SYSTEM
+  // ==========================================================================
+  
+  const notificationQueue = [];   // Waiting for a free slot in the stack
+  const visibleNotifications = []; // On screen, oldest first
+  let notificationStack = null;
+  let notificationRegions = null;  // Screen reader live regions: { polite, assertive }
+  let notificationCount = 0;
+  
+  /**
+   * Show a toast notification to the user
+   * Toasts stack in the corner; when config.maxNotifications are showing,
+   * new ones wait in a queue. Timers pause while a toast is hovered or focused.
+   * @param {string} message - The notification message
+   * @param {string} type - The notification type (success, error, warning, info)
+   * @param {Object} [options]
+   * @param {number} [options.duration] - Milliseconds before dismissing; 0 keeps it until closed
+   * @param {{label: string, onClick: Function}} [options.action] - Button such as "Undo" or "Retry";
+   *   the toast closes after onClick unless it returns false
+   * @returns {{id: number, dismiss: Function}} Handle for closing the toast early
+   */
+  function showNotification(message, type = 'info', options = {}) {
+    const toast = {
+      id: ++notificationCount,
+      message,
+      type: ['success', 'error', 'warning', 'info'].includes(type) ? type : 'info',
+      options,
+      element: null,
+      timer: null,
+      remaining: options.duration !== undefined ? options.duration : config.notificationDuration,
+      startedAt: 0,
+      dismissed: false
+    };
+    toast.dismiss = () => dismissNotification(toast);
+    
+    recordNotification(toast);
+    emit(document, 'notification:show', { id: toast.id, message: toast.message, type: toast.type });
+    
+    if (visibleNotifications.length < config.maxNotifications) {
+      renderNotification(toast);
+    } else {
+      notificationQueue.push(toast);
+    }
+    
+    return { id: toast.id, dismiss: toast.dismiss };
+  }
+  
+  /**
+   * Container that holds the visible toasts, created on first use
+   */
+  function getNotificationStack() {
+    if (!notificationStack || !document.body.contains(notificationStack)) {
+      notificationStack = document.createElement('div');
+      notificationStack.className = 'notification-stack';
+      document.body.appendChild(notificationStack);
+    }
+    return notificationStack;
+  }
+  
+  /**
+   * Read a message out through a live region that already exists on the
+   * page (regions added together with their text are often not announced).
+   * Errors and warnings interrupt; other types wait their turn.
+   */
+  function announceNotification(toast) {
+    if (!notificationRegions) {
+      notificationRegions = {};
+      ['polite', 'assertive'].forEach(level => {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', level);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+        notificationRegions[level] = region;
+      });
+    }
+    
+    const region = notificationRegions[toast.type === 'error' || toast.type === 'warning' ? 'assertive' : 'polite'];
+    region.textContent = '';
+    setTimeout(() => { region.textContent = toast.message; }, 100);
+  }
+  
+  /**
+   * Build a toast element and start its timer
+   */
+  function renderNotification(toast) {
+    const element = document.createElement('div');
+    element.className = `notification notification-${toast.type}`;
+    
+    const text = document.createElement('p');
+    text.className = 'notification-message';
+    text.textContent = toast.message;
+    element.appendChild(text);
+    
+    const { action } = toast.options;
+    if (action && action.label) {
+      const actionBtn = document.createElement('button');
+      actionBtn.type = 'button';
+      actionBtn.className = 'notification-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        const result = typeof action.onClick === 'function' ? action.onClick(toast) : undefined;
+        if (result !== false) dismissNotification(toast);
+      });
+      element.appendChild(actionBtn);
+    }
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'notification-close';
+    closeBtn.setAttribute('aria-label', t('notification.dismiss'));
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => dismissNotification(toast));
+    element.appendChild(closeBtn);
+    
+    // Pause the countdown while the user is reading or interacting
+    element.addEventListener('mouseenter', () => pauseNotification(toast));
+    element.addEventListener('mouseleave', () => resumeNotification(toast));
+    element.addEventListener('focusin', () => pauseNotification(toast));
+    element.addEventListener('focusout', e => {
+      if (!element.contains(e.relatedTarget)) resumeNotification(toast);
+    });
+    
+    toast.element = element;
+    visibleNotifications.push(toast);
+    getNotificationStack().appendChild(element);
+    announceNotification(toast);
+    
+    // Animate in on the next frame so the transition runs
+    requestAnimationFrame(() => element.classList.add('is-visible'));
+    resumeNotification(toast);
+  }
+  
+  function pauseNotification(toast) {
+    if (!toast.timer) return;
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(toast.remaining - (Date.now() - toast.startedAt), 1000); // Time to finish reading
+  }
+  
+  function resumeNotification(toast) {
+    if (toast.timer || toast.dismissed || !(toast.remaining > 0)) return;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissNotification(toast), toast.remaining);
+  }
+  
+  /**
+   * Remove a toast (or drop it from the queue) and show the next queued one
+   */
+  function dismissNotification(toast) {
+    if (toast.dismissed) return;
+    toast.dismissed = true;
+    clearTimeout(toast.timer);
+    emit(document, 'notification:dismiss', { id: toast.id, message: toast.message, type: toast.type });
+    
+    const queued = notificationQueue.indexOf(toast);
+    if (queued !== -1) {
+      notificationQueue.splice(queued, 1);
+      return;
+    }
+    
+    const element = toast.element;
+    element.classList.remove('is-visible');
+    element.classList.add('is-leaving');
+    
+    // Remove from DOM after the exit transition
+    setTimeout(() => {
+      element.remove();
+      visibleNotifications.splice(visibleNotifications.indexOf(toast), 1);
+      if (notificationQueue.length > 0) renderNotification(notificationQueue.shift());
+    }, 300);
+  }
+  
+  // ==========================================================================
+  // NOTIFICATION HISTORY
+  // ==========================================================================
+  
+  /**
+   * Every notification is kept in sessionStorage so the history panel can
+   * show messages from earlier pages in the same visit
+   */
+  function readNotificationHistory() {
+    try {
+      return JSON.parse(sessionStorage.getItem(config.notificationHistoryKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  function recordNotification(toast) {
+    const history = readNotificationHistory();
+    history.unshift({ message: toast.message, type: toast.type, at: new Date().toISOString() });
+    try {
+      sessionStorage.setItem(config.notificationHistoryKey, JSON.stringify(history.slice(0, 50)));
+    } catch (error) {
+      // Storage full or disabled - history is a nice-to-have
+    }
+    renderNotificationHistory();
+  }
+  
+  function clearNotificationHistory() {
+    try {
+      sessionStorage.removeItem(config.notificationHistoryKey);
+    } catch (error) {
+      // Nothing stored
+    }
+    renderNotificationHistory();
+  }
+  
+  /**
+   * Fill the history panel, if the page has one
+   */
+  function renderNotificationHistory() {
+    const list = document.querySelector('.notification-history-list');
+    if (!list) return;
+    
+    const history = readNotificationHistory();
+    list.innerHTML = '';
+    history.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `notification-history-item notification-history-${entry.type}`;
+      
+      const time = document.createElement('time');
+      time.dateTime = entry.at;
+      time.textContent = formatDate(entry.at, { hour: 'numeric', minute: '2-digit' });
+      
+      const text = document.createElement('span');
+      text.textContent = entry.message;
+      
+      item.append(time, text);
+      list.appendChild(item);
+    });
+    
+    const empty = document.querySelector('.notification-history-empty');
+    if (empty) empty.hidden = history.length > 0;
+    
+    document.querySelectorAll('[data-notification-history] .notification-history-count').forEach(badge => {
+      badge.textContent = formatNumber(history.length);
+      badge.hidden = history.length === 0;
+    });
+  }
+  
+  let historyPanel = null;
+  const historyToggles = new Set();  // Mounted [data-notification-history] buttons
+  let lastHistoryToggle = null;
+  
+  /**
+   * The history panel, created the first time a toggle is mounted
+   */
+  function getHistoryPanel() {
+    if (historyPanel) return historyPanel;
+    
+    const panel = document.createElement('section');
+    panel.id = 'notification-history';
+    panel.className = 'notification-history';
+    panel.setAttribute('data-i18n-attr', 'aria-label:notification.history');
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="notification-history-header">
+        <h2 data-i18n="notification.historyTitle"></h2>
+        <button type="button" class="btn-link" data-notification-history-clear data-i18n="notification.clear"></button>
+        <button type="button" class="notification-close" data-notification-history-close data-i18n-attr="aria-label:notification.closeHistory">&times;</button>
+      </div>
+      <p class="notification-history-empty" data-i18n="notification.empty"></p>
+      <ul class="notification-history-list"></ul>
+    `;
+    translate(panel);
+    document.body.appendChild(panel);
+    
+    const close = () => {
+      setHistoryOpen(false);
+      if (lastHistoryToggle && lastHistoryToggle.isConnected) lastHistoryToggle.focus();
+    };
+    panel.querySelector('[data-notification-history-clear]').addEventListener('click', clearNotificationHistory);
+    panel.querySelector('[data-notification-history-close]').addEventListener('click', close);
+    panel.addEventListener('keydown', e => {
+      if (e.key === 'Escape') close();
+    });
+    
+    historyPanel = panel;
+    return panel;
+  }
+  
+  function setHistoryOpen(open) {
+    historyPanel.hidden = !open;
+    historyToggles.forEach(toggle => toggle.setAttribute('aria-expanded', String(open)));
+    if (open) historyPanel.querySelector('[data-notification-history-close]').focus();
+  }
+  
+  /**
+   * Optional history panel, opened by any [data-notification-history] button
+   */
+  function mountNotificationHistory(toggle, ctx) {
+    const panel = getHistoryPanel();
+    historyToggles.add(toggle);
+    
+    toggle.setAttribute('aria-controls', panel.id);
+    toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    if (!toggle.querySelector('.notification-history-count')) {
+      toggle.insertAdjacentHTML('beforeend', '<span class="notification-history-count" hidden></span>');
+    }
+    ctx.on(toggle, 'click', () => {
+      lastHistoryToggle = toggle;
+      setHistoryOpen(panel.hidden);
+    });
+    
+    renderNotificationHistory();
+    return () => historyToggles.delete(toggle);
+  }
+
+  // ==========================================================================
+  // SCROLL ANIMATIONS
+  // ==========================================================================
+  
+  let scrollObserver = null;
+  
+  /**
+   * Scroll-triggered animation for cards and headings, using Intersection Observer
+   * Animates elements as they come into view for better user experience
+   */
+  function mountScrollAnimation(element) {
+    // Check if Intersection Observer is supported
+    if (!('IntersectionObserver' in window)) return;
+    
+    // One observer with custom options is shared by every element
+    if (!scrollObserver) {
+      scrollObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            // Add animation class when element comes into view
+            entry.target.classList.add('fade-in-up');
+            // Stop observing this element after animation
+            scrollObserver.unobserve(entry.target);
+          }
+        });
+      }, {
+        threshold: 0.1,                    // Trigger when 10% visible
+        rootMargin: '0px 0px -50px 0px'   // Start animation 50px before element is fully visible
+      });
+    }
+    
+    scrollObserver.observe(element);
+    return () => scrollObserver.unobserve(element);
+  }
+
+  // ==========================================================================
+  // PERFORMANCE OPTIMIZATIONS
+  // ==========================================================================
+  
+  let imageObserver = null;
+  
+  /**
+   * Lazy loading for images and backgrounds, to improve page load performance
+   * 
+   * - `data-src`, `data-srcset`, `data-sizes` ("auto" = rendered width) on an img
+   * - `source[data-srcset]` / `[data-sizes]` inside a <picture>
+   * - `data-bg` on any element for a background image
+   * - `data-lqip` for a tiny placeholder shown blurred until the real image loads
+   * - `data-fallback` (else config.imageFallback) after `data-retry` failed retries
+   * - Images already in view when mounted, or with `data-eager`, load at once
+   * Without IntersectionObserver everything loads immediately.
+   */
+  function mountLazyImage(element) {
+    const lqip = element.getAttribute('data-lqip');
+    if (lqip) {
+      element.classList.add('lazy-blur');
+      if (element.hasAttribute('data-bg')) {
+        element.style.backgroundImage = `url("${lqip}")`;
+      } else if (!element.getAttribute('src')) {
+        element.src = lqip;
+      }
+    }
+    
+    if (!('IntersectionObserver' in window) || element.hasAttribute('data-eager') || isAboveFold(element)) {
+      loadLazyImage(element, true);
+      return;
+    }
+    
+    if (!imageObserver) {
+      imageObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            imageObserver.unobserve(entry.target);
+            loadLazyImage(entry.target);
+          }
+        });
+      }, {
+        rootMargin: '200px 0px'            // Start loading just before the image scrolls in
+      });
+    }
+    
+    imageObserver.observe(element);
+    return () => imageObserver.unobserve(element);
+  }
+  
+  /**
+   * Is the element inside the first screen of the page?
+   */
+  function isAboveFold(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight && (rect.width > 0 || rect.height > 0);
+  }
+  
+  /**
+   * Swap the data-* sources in; picture sources first so the browser picks
+   * from the full set of candidates
+   * @param {Element} element - img or [data-bg] element
+   * @param {boolean} [eager=false] - Ask the browser to fetch it first
+   */
+  function loadLazyImage(element, eager = false) {
+    if (element.hasAttribute('data-bg')) {
+      loadBackground(element);
+      return;
+    }
+    
+    const img = element;
+    if (eager) {
+      img.loading = 'eager';
+      img.setAttribute('fetchpriority', 'high');
+    }
+    img.addEventListener('load', () => {
+      img.classList.remove('lazy');
+      img.classList.add('is-loaded');
+    }, { once: true });
+    img.addEventListener('error', () => retryLazyImage(img));
+    applyImageSources(img);
+  }
+  
+  function applyImageSources(img) {
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    if (picture) {
+      picture.querySelectorAll('source').forEach(source => {
+        if (source.dataset.sizes) source.sizes = source.dataset.sizes;
+        if (source.dataset.srcset) source.srcset = source.dataset.srcset;
+      });
+    }
+    
+    if (img.dataset.sizes) {
+      img.sizes = img.dataset.sizes === 'auto'
+        ? Math.round(img.getBoundingClientRect().width || window.innerWidth) + 'px'
+        : img.dataset.sizes;
+    }
+    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+    if (img.dataset.src) img.src = img.dataset.src;
+  }
+  
+  /**
+   * Preload a background image so it appears in one go
+   */
+  function loadBackground(element) {
+    const url = element.getAttribute('data-bg');
+    const probe = new Image();
+    probe.onload = () => {
+      element.style.backgroundImage = `url("${url}")`;
+      element.classList.remove('lazy');
+      element.classList.add('is-loaded');
+    };
+    probe.onerror = () => retryLazyImage(element);
+    probe.src = url;
+  }
+  
+  /**
+   * Try a failed image again after a growing delay (1 s, 2 s, ...), then
+   * show the fallback image
+   */
+  function retryLazyImage(element) {
+    if (element.classList.contains('is-broken')) return;
+    const attempts = Number(element.dataset.attempts || 0);
+    const retries = element.hasAttribute('data-retry') ? Number(element.getAttribute('data-retry')) : 2;
+    
+    if (attempts < retries) {
+      element.dataset.attempts = attempts + 1;
+      setTimeout(() => {
+        if (element.hasAttribute('data-bg')) {
+          loadBackground(element);
+        } else {
+          // Setting the attributes again makes the browser request them again
+          if (!element.dataset.src && !element.dataset.srcset) element.dataset.src = element.getAttribute('src');
+          applyImageSources(element);
+        }
+      }, 1000 * (attempts + 1));
+      return;
+    }
+    
+    const fallback = element.getAttribute('data-fallback') || config.imageFallback;
+    element.classList.remove('lazy-blur');
+    element.classList.add('is-broken');
+    if (!fallback) return;
+    
+    if (element.hasAttribute('data-bg')) {
+      element.style.backgroundImage = `url("${fallback}")`;
+      return;
+    }
+    const picture = element.parentElement && element.parentElement.tagName === 'PICTURE' ? element.parentElement : null;
+    if (picture) picture.querySelectorAll('source').forEach(source => source.removeAttribute('srcset'));
+    element.removeAttribute('srcset');
+    element.src = fallback;
+  }
+  
+  /**
+   * Largest image an img offers: data-full, else the widest srcset
+   * candidate (img and untyped <picture> sources), else its current source
+   * @param {HTMLImageElement} img
+   * @returns {string}
+   */
+  function largestImageSource(img) {
+    if (img.dataset.full) return img.dataset.full;
+    if (img.classList.contains('is-broken')) return img.currentSrc || img.src;
+    
+    const sets = [img.getAttribute('srcset') || img.dataset.srcset];
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    if (picture) {
+      picture.querySelectorAll('source:not([type])').forEach(source => {
+        sets.push(source.getAttribute('srcset') || source.dataset.srcset);
+      });
+    }
+    
+    let best = null;
+    sets.filter(Boolean).forEach(set => {
+      set.split(/,\s+/).forEach(candidate => {
+        const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+        const size = parseFloat(descriptor) * (descriptor.endsWith('x') ? 1000 : 1); // Treat 2x as ~2000w
+        if (url && (!best || size > best.size)) best = { url, size };
+      });
+    });
+    
+    return best ? best.url : (img.currentSrc || img.src || img.dataset.src);
+  }
+
+  // ==========================================================================
+  // KEYBOARD NAVIGATION
+  // ==========================================================================
+  
+  /**
+   * Keyboard navigation improvements (page-wide component)
+   * Provides better accessibility for keyboard users
+   */
+  function mountKeyboardNavigation(root, ctx) {
+    ctx.on(document, 'keydown', function(e) {
+      // Close mobile navigation with Escape key
+      if (e.key === 'Escape' && nav && nav.classList.contains('open')) {
+        nav.classList.remove('open');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.focus(); // Return focus to toggle button
+      }
+    });
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+  
+  // Built-in components, mounted in this order. Page-wide ones have no selector.
+  registerComponent('translations', { selector: '[data-i18n], [data-i18n-attr]', mount: mountTranslation });
+  registerComponent('language-switcher', { mount: mountLanguageSwitcher });
+  registerComponent('theme', { mount: mountTheme });
+  registerComponent('mobile-nav', { mount: mountMobileNav });
+  registerComponent('smooth-scroll', { selector: 'a[href^="#"]', mount: mountSmoothScrolling });
+  registerComponent('contact-form', { selector: '.contact-form', mount: mountContactForm });
+  registerComponent('offline-queue', { mount: mountOfflineQueue });
+  registerComponent('scroll-animations', { selector: '.card, h1, h2, h3', mount: mountScrollAnimation });
+  registerComponent('lazy-images', { selector: 'img[data-src], img[data-srcset], [data-bg]', mount: mountLazyImage });
+  registerComponent('keyboard-navigation', { mount: mountKeyboardNavigation });
+  registerComponent('notification-history', { selector: '[data-notification-history]', mount: mountNotificationHistory });
+  registerComponent('tabs', { selector: '.tabs-container', mount: mountTabs });
+  registerComponent('accordions', { selector: '.accordion', mount: mountAccordion });
+  registerComponent('modals', { mount: mountModals });
+  registerComponent('lightbox', { mount: mountLightbox });
+  registerComponent('lightbox-triggers', { selector: '[data-lightbox]', mount: mountLightboxTrigger });
+  registerComponent('before-after', { selector: '[data-before][data-after]', mount: mountBeforeAfter });
+  registerComponent('search', { selector: '[data-search]', mount: mountSearch });
+  registerComponent('url-state', { mount: mountUrlState });
+  registerComponent('load-more', { selector: '[data-load-more]:not([data-load-more="catalog"])', mount: mountLoadMore });
+  registerComponent('parallax', { selector: '[data-parallax]', mount: mountParallax });
+  registerComponent('tilt', { selector: '[data-tilt]', mount: mountTilt });
+  registerComponent('counters', { selector: '[data-counter]', mount: mountCounter });
+  
+  /**
+   * Initialize all website functionality
+   * Mounts every registered component on the page
+   */
+  function init() {
+    // Set current year in footer
+    if (year) {
+      year.textContent = new Date().getFullYear();
+    }
+
+    mount(document);
+    if (config.observeDom) observeDom();
+
+    // Switch to the visitor's language; the page shows its own language until then
+    const preferred = preferredLanguage();
+    if (preferred !== pageLanguage) languageReady = setLanguage(preferred, { persist: false });
+
+    // Add loaded class to body for CSS animations
+    document.body.classList.add('loaded');
+  }
+
+  // ==========================================================================
+  // TABS FUNCTIONALITY
+  // ==========================================================================
+  
+  let generatedTabIds = 0;
+  const generatedPanelIds = new Set(); // Not used as URL/storage keys: they depend on page order
+  
+  /**
+   * Tabs for one .tabs-container (WAI-ARIA tabs pattern)
+   * 
+   * - Buttons and panels are paired by aria-controls (ids are generated
+   *   for markup that pairs them by position)
+   * - Roving tabindex: only the active tab is in the tab order; arrow keys,
+   *   Home and End move between tabs
+   * - data-orientation="vertical" uses Up/Down instead of Left/Right
+   * - data-activation="manual": arrows only move focus, Enter/Space selects
+   * - A panel with data-panel-src loads its HTML from that URL the first
+   *   time it is shown
+   * - The last tab chosen is remembered per container in localStorage
+   *   (data-persist="false" turns this off); a tab in the URL wins
+   */
+  function mountTabs(container, ctx) {
+    const { buttons, panels } = tabParts(container);
+    const tablist = container.querySelector('[role="tablist"], .tabs-header');
+    const vertical = container.getAttribute('data-orientation') === 'vertical';
+    const manual = container.getAttribute('data-activation') === 'manual';
+    
+    // ARIA wiring
+    if (tablist) {
+      tablist.setAttribute('role', 'tablist');
+      if (vertical) tablist.setAttribute('aria-orientation', 'vertical');
+    }
+    const base = container.id || `tabs-${++generatedTabIds}`;
+    buttons.forEach((button, index) => {
+      const panel = panels[index];
+      if (!panel) return;
+      if (!panel.id) {
+        panel.id = `${base}-panel-${index + 1}`;
+        generatedPanelIds.add(panel.id);
+      }
+      if (!button.id) button.id = `${panel.id}-tab`;
+      button.setAttribute('role', 'tab');
+      button.setAttribute('aria-controls', panel.id);
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', button.id);
+      panel.setAttribute('tabindex', '0');
+      panel.removeAttribute('aria-hidden');
+    });
+    
+    // Start on the remembered tab unless the URL names one
+    const param = tabUrlParam(container);
+    const remembered = readRememberedTab(container);
+    const rememberedIndex = buttons.findIndex((button, i) => tabKey(button, i) === remembered);
+    const current = buttons.findIndex(button => button.classList.contains('active'));
+    if (rememberedIndex >= 0 && !(param && new URLSearchParams(window.location.search).has(param))) {
+      activateTab(container, rememberedIndex, false, 'storage');
+    } else {
+      activateTab(container, Math.max(current, 0), false, 'mount');
+    }
+    
+    /**
+     * Select a tab in response to the visitor and record it
+     */
+    function select(index, source) {
+      if (!activateTab(container, index, true, source)) return;
+      
+      // Record the tab in the URL so it can be shared and restored
+      if (param) writeUrlState({ [param]: index === 0 ? null : tabKey(buttons[index], index) });
+      rememberTab(container, tabKey(buttons[index], index));
+    }
+    
+    buttons.forEach((button, index) => {
+      ctx.on(button, 'click', () => select(index, 'click'));
+      
+      // Keyboard navigation for tabs
+      ctx.on(button, 'keydown', (e) => {
+        const previousKey = vertical ? 'ArrowUp' : 'ArrowLeft';
+        const nextKey = vertical ? 'ArrowDown' : 'ArrowRight';
+        let newIndex;
+        
+        if (e.key === nextKey) {
+          newIndex = (index + 1) % buttons.length;
+        } else if (e.key === previousKey) {
+          newIndex = (index - 1 + buttons.length) % buttons.length;
+        } else if (e.key === 'Home') {
+          newIndex = 0;
+        } else if (e.key === 'End') {
+          newIndex = buttons.length - 1;
+        } else {
+          return;
+        }
+        
+        e.preventDefault();
+        buttons[newIndex].focus();
+        if (!manual) select(newIndex, 'keyboard');
+      });
+    });
+  }
+  
+  /**
+   * Tab buttons of a container and the panel each one controls
+   * Buttons without aria-controls are paired with panels by position.
+   * Buttons and panels of nested containers are left out.
+   * @returns {{buttons: HTMLElement[], panels: HTMLElement[]}}
+   */
+  function tabParts(container) {
+    const own = element => element.closest('.tabs-container') === container;
+    const buttons = Array.from(container.querySelectorAll('.tab-button')).filter(own);
+    const ordered = Array.from(container.querySelectorAll('.tab-panel')).filter(own);
+    const panels = buttons.map((button, index) => {
+      const id = button.getAttribute('aria-controls');
+      return (id && document.getElementById(id)) || ordered[index];
+    });
+    return { buttons, panels };
+  }
+
+  /**
+   * Show one tab of a tabs container
+   * @param {Element} container - The .tabs-container
+   * @param {number} index - Tab to show
+   * @param {boolean} [animate=true] - Fade the panel in
+   * @param {string} [source='api'] - What caused the change (click, keyboard, url, storage, api)
+   * @returns {boolean} False if the tab doesn't exist or a tab:beforechange
+   *   listener cancelled the change
+   */
+  function activateTab(container, index, animate = true, source = 'api') {
+    const { buttons: tabButtons, panels: tabPanels } = tabParts(container);
+    if (!tabButtons[index] || !tabPanels[index]) return false;
+    
+    const previousIndex = tabButtons.findIndex(btn => btn.classList.contains('active'));
+    const changed = previousIndex !== index;
+    const detail = {
+      container,
+      index,
+      previousIndex,
+      key: tabKey(tabButtons[index], index),
+      button: tabButtons[index],
+      panel: tabPanels[index],
+      source
+    };
+    if (changed && !emit(container, 'tab:beforechange', detail, true)) return false;
+    
+    // Only the active tab is in the tab order (roving tabindex)
+    tabButtons.forEach((btn, i) => {
+      const active = i === index;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-selected', String(active));
+      btn.setAttribute('tabindex', active ? '0' : '-1');
+      if (tabPanels[i]) {
+        tabPanels[i].classList.toggle('active', active);
+        tabPanels[i].hidden = !active;
+      }
+    });
+    
+    // Animate panel entrance
+    if (animate) tabPanels[index].style.animation = 'fadeInUp 0.3s ease-out';
+    if (tabPanels[index].hasAttribute('data-panel-src')) loadTabPanel(container, tabPanels[index]);
+    
+    if (changed) emit(container, 'tab:change', detail);
+    return true;
+  }
+  
+  const tabPanelLoads = new WeakMap(); // panel → Promise of its content
+  
+  /**
+   * Fetch a panel's data-panel-src HTML once and wire up its components
+   * On failure the panel offers a retry. Emits tab:load.
+   * @returns {Promise<boolean>} Whether the content is in place
+   */
+  function loadTabPanel(container, panel) {
+    if (tabPanelLoads.has(panel)) return tabPanelLoads.get(panel);
+    
+    const url = panel.getAttribute('data-panel-src');
+    panel.setAttribute('aria-busy', 'true');
+    panel.classList.add('loading');
+    
+    const load = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`Panel request failed (${response.status})`);
+        return response.text();
+      })
+      .then(html => {
+        panel.innerHTML = html;
+        panel.removeAttribute('data-panel-src');
+        enhanceContent(panel);
+        emit(panel, 'tab:load', { container, panel, url });
+        return true;
+      })
+      .catch(error => {
+        console.warn(`Could not load tab content from ${url}:`, error);
+        tabPanelLoads.delete(panel);
+        panel.innerHTML = `
+          <p class="tab-panel-error">
+            <span data-i18n="tabs.loadError"></span>
+            <button type="button" class="btn btn-sm btn-secondary" data-i18n="tabs.retry"></button>
+          </p>`;
+        translate(panel);
+        panel.querySelector('button').addEventListener('click', () => loadTabPanel(container, panel));
+        emit(panel, 'tab:load', { container, panel, url, error });
+        return false;
+      })
+      .finally(() => {
+        panel.removeAttribute('aria-busy');
+        panel.classList.remove('loading');
+      });
+    
+    tabPanelLoads.set(panel, load);
+    return load;
+  }
+  
+  /**
+   * Storage key for a container's remembered tab: page path plus the
+   * container id (or its position on the page)
+   */
+  function tabStorageKey(container) {
+    const index = Array.from(document.querySelectorAll('.tabs-container')).indexOf(container);
+    return `${window.location.pathname}#${container.id || index}`;
+  }
+  
+  function readRememberedTab(container) {
+    if (container.getAttribute('data-persist') === 'false') return null;
+    try {
+      const saved = JSON.parse(localStorage.getItem(config.tabsKey)) || {};
+      return saved[tabStorageKey(container)] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  function rememberTab(container, key) {
+    if (container.getAttribute('data-persist') === 'false') return;
+    try {
+      const saved = JSON.parse(localStorage.getItem(config.tabsKey)) || {};
+      saved[tabStorageKey(container)] = key;
+      localStorage.setItem(config.tabsKey, JSON.stringify(saved));
+    } catch (error) {
+      // Storage unavailable: the tab just isn't remembered
+    }
+  }
+  
+  /**
+   * Name used for a tab in the URL: data-tab, else the panel id without
+   * its "panel-" prefix (panel-emergency → emergency), else its position
+   */
+  function tabKey(button, index) {
+    let panelId = button.getAttribute('aria-controls') || '';
+    if (generatedPanelIds.has(panelId)) panelId = '';
+    return button.getAttribute('data-tab') || panelId.replace(/^panel-/, '') || String(index + 1);
+  }
+  
+  /**
+   * URL parameter that stores a container's active tab
+   * The first container on a page uses "tab"; others need data-url-param
+   */
+  function tabUrlParam(container) {
+    const first = document.querySelector('.tabs-container');
+    return container.getAttribute('data-url-param') || (container === first ? 'tab' : null);
+  }
+
+  // ==========================================================================
+  // ACCORDION FUNCTIONALITY
+  // ==========================================================================
+  
+  let generatedAccordionIds = 0;
+  
+  /**
+   * Accordion panels for one .accordion (WAI-ARIA accordion pattern)
+   * 
+   * - Headers get aria-expanded/aria-controls, panels role="region"
+   * - Arrow Up/Down, Home and End move between headers
+   * - Open panels follow their content's height as it reflows (ResizeObserver)
+   * - An item's id is a deep link: services.html#faq-emergency opens that
+   *   item on load, on hash changes and from in-page links
+   * - A [data-accordion-toggle-all] button inside expands or collapses all
+   * - data-faq-schema adds FAQPage JSON-LD built from the questions and answers
+   * - data-multi-open lets several items stay open
+   */
+  function mountAccordion(accordion, ctx) {
+    const items = Array.from(accordion.querySelectorAll('.accordion-item'))
+      .filter(item => item.querySelector('.accordion-header') && item.querySelector('.accordion-content'));
+    const toggleAll = accordion.querySelector('[data-accordion-toggle-all]');
+    
+    const parts = (item) => ({
+      header: item.querySelector('.accordion-header'),
+      content: item.querySelector('.accordion-content'),
+      icon: item.querySelector('.accordion-icon')
+    });
+    const isOpen = (item) => item.classList.contains('active');
+    
+    // Set an item's classes, ARIA state and height without events
+    function render(item, open) {
+      const { header, content, icon } = parts(item);
+      item.classList.toggle('active', open);
+      header.setAttribute('aria-expanded', String(open));
+      content.style.maxHeight = open ? content.scrollHeight + 'px' : null;
+      if (icon) icon.style.transform = open ? 'rotate(180deg)' : 'rotate(0deg)';
+    }
+    
+    /**
+     * Open or close an item, closing the others unless told not to
+     * @returns {boolean} False if a listener cancelled accordion:beforetoggle
+     */
+    function setOpen(item, open, closeOthers = !accordion.hasAttribute('data-multi-open')) {
+      const { header } = parts(item);
+      if (isOpen(item) === open) return true;
+      if (!emit(item, 'accordion:beforetoggle', { accordion, item, header, open }, true)) return false;
+      
+      if (open && closeOthers) {
+        items.forEach(otherItem => {
+          if (otherItem === item || !isOpen(otherItem)) return;
+          render(otherItem, false);
+          emit(otherItem, 'accordion:toggle', { accordion, item: otherItem, header: parts(otherItem).header, open: false });
+        });
+      }
+      
+      render(item, open);
+      emit(item, 'accordion:toggle', { accordion, item, header, open });
+      updateToggleAll();
+      return true;
+    }
+    
+    // ARIA wiring; ids are generated where the markup has none
+    items.forEach(item => {
+      const { header, content } = parts(item);
+      const base = item.id || `accordion-${++generatedAccordionIds}`;
+      if (!header.id) header.id = `${base}-header`;
+      if (!content.id) content.id = `${base}-panel`;
+      header.setAttribute('aria-controls', content.id);
+      content.setAttribute('role', 'region');
+      content.setAttribute('aria-labelledby', header.id);
+      render(item, isOpen(item));
+      
+      ctx.on(header, 'click', () => setOpen(item, !isOpen(item)));
+    });
+    
+    // Arrow keys move between headers; Enter and Space work natively on buttons
+    ctx.on(accordion, 'keydown', (e) => {
+      const headers = items.map(item => parts(item).header);
+      const index = headers.indexOf(e.target);
+      if (index === -1) return;
+      
+      let next;
+      if (e.key === 'ArrowDown') next = (index + 1) % headers.length;
+      if (e.key === 'ArrowUp') next = (index - 1 + headers.length) % headers.length;
+      if (e.key === 'Home') next = 0;
+      if (e.key === 'End') next = headers.length - 1;
+      if (next === undefined) return;
+      
+      e.preventDefault();
+      headers[next].focus();
+    });
+    
+    // Keep open panels as tall as their content after resizes, font loads
+    // or content changes
+    const refresh = (item) => {
+      if (isOpen(item)) parts(item).content.style.maxHeight = parts(item).content.scrollHeight + 'px';
+    };
+    let observer = null;
+    if (window.ResizeObserver) {
+      observer = new ResizeObserver(entries => {
+        entries.forEach(entry => {
+          const item = entry.target.closest('.accordion-item');
+          if (item) refresh(item);
+        });
+      });
+      items.forEach(item => {
+        const { content } = parts(item);
+        const children = Array.from(content.children);
+        (children.length ? children : [content]).forEach(child => observer.observe(child));
+      });
+    } else {
+      ctx.on(window, 'resize', () => items.forEach(refresh));
+    }
+    
+    // Expand / collapse all
+    function updateToggleAll() {
+      if (!toggleAll) return;
+      const allOpen = items.every(isOpen);
+      const key = allOpen ? 'accordion.collapseAll' : 'accordion.expandAll';
+      toggleAll.setAttribute('data-i18n', key); // Keeps translate() in step with the label
+      toggleAll.textContent = t(key);
+      toggleAll.setAttribute('aria-expanded', String(allOpen));
+    }
+    if (toggleAll) {
+      toggleAll.setAttribute('aria-controls', items.map(item => parts(item).content.id).join(' '));
+      ctx.on(toggleAll, 'click', () => {
+        const open = !items.every(isOpen);
+        items.forEach(item => setOpen(item, open, false));
+      });
+      ctx.on(document, 'language:change', updateToggleAll);
+      updateToggleAll();
+    }
+    
+    // Deep links to an item (or anything inside one)
+    function openTarget(id) {
+      const target = id && document.getElementById(id);
+      const item = target && target.closest('.accordion-item');
+      if (item && items.includes(item)) setOpen(item, true);
+    }
+    const openFromHash = () => openTarget(decodeURIComponent(window.location.hash.slice(1)));
+    openFromHash();
+    ctx.on(window, 'hashchange', openFromHash);
+    // In-page links are scrolled by smooth-scroll without changing the hash
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest && e.target.closest('a[href^="#"]');
+      if (link) openTarget(decodeURIComponent(link.getAttribute('href').slice(1)));
+    });
+    
+    // FAQPage structured data for search engines
+    let schema = null;
+    if (accordion.hasAttribute('data-faq-schema')) {
+      schema = document.createElement('script');
+      schema.type = 'application/ld+json';
+      schema.textContent = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: items.map(item => {
+          const { header, content } = parts(item);
+          const question = header.cloneNode(true);
+          question.querySelectorAll('.accordion-icon').forEach(icon => icon.remove());
+          return {
+            '@type': 'Question',
+            name: question.textContent.trim(),
+            acceptedAnswer: { '@type': 'Answer', text: content.textContent.trim().replace(/\s+/g, ' ') }
+          };
+        })
+      }).replace(/</g, '\\u003c'); // Answers can't close the script tag
+      document.head.appendChild(schema);
+    }
+    
+    return () => {
+      if (observer) observer.disconnect();
+      if (schema) schema.remove();
+    };
+  }
+
+  // ==========================================================================
+  // MODAL FUNCTIONALITY
+  // ==========================================================================
+  
+  const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, iframe, [contenteditable], [tabindex]';
+  const modalStack = [];          // Open modals, topmost last: { modal, options, returnFocus }
+  const inertElements = new Set(); // Background elements we made inert
+  let generatedModalIds = 0;
+  
+  /**
+   * Modal dialogs (page-wide component)
+   * Popup windows for quotes, details, etc.
+   * Clicks are delegated from the document so modals and triggers that
+   * scripts add after page load (e.g. the quote wizard) work too
+   */
+  function mountModals(root, ctx) {
+    ctx.on(document, 'click', (e) => {
+      // Open modal; a trigger inside an open modal stacks the new one on
+      // top unless it has data-modal-replace
+      const trigger = e.target.closest('[data-modal-target]');
+      if (trigger) {
+        const modal = document.querySelector(trigger.getAttribute('data-modal-target'));
+        if (modal) {
+          e.preventDefault();
+          const parentModal = trigger.closest('.modal');
+          if (parentModal && trigger.hasAttribute('data-modal-replace')) {
+            closeModal(parentModal, { restoreFocus: false });
+          }
+          openModal(modal, { trigger });
+        }
+        return;
+      }
+      
+      // Close modal
+      const closeBtn = e.target.closest('[data-modal-close]');
+      if (closeBtn) {
+        closeModal(closeBtn.closest('.modal'));
+        return;
+      }
+      
+      // Close on backdrop click (topmost modal only)
+      const top = topModal();
+      if (top && e.target === top.modal && top.options.closeOnBackdrop !== false) {
+        closeModal(top.modal);
+      }
+    });
+    
+    ctx.on(document, 'keydown', (e) => {
+      const top = topModal();
+      if (!top) return;
+      
+      // Escape closes the topmost modal only
+      if (e.key === 'Escape' && top.options.closeOnEscape !== false) {
+        e.preventDefault();
+        closeModal(top.modal);
+      } else if (e.key === 'Tab') {
+        trapFocus(e, top.modal);
+      }
+    });
+  }
+  
+  function topModal() {
+    return modalStack[modalStack.length - 1] || null;
+  }
+  
+  /**
+   * Resolve a modal from an element, an id or a selector
+   * @param {Element|string} target - Element, "quote-wizard" or "#quote-wizard"
+   * @returns {Element|null}
+   */
+  function resolveModal(target) {
+    if (typeof target !== 'string') return target || null;
+    return document.getElementById(target.replace(/^#/, '')) || document.querySelector(target);
+  }
+  
+  /**
+   * Dispatch a modal lifecycle event on the modal element
+   * @returns {boolean} False when a listener called preventDefault()
+   */
+  function dispatchModalEvent(modal, type, detail) {
+    return emit(modal, `modal:${type}`, Object.assign({ modal }, detail), type.startsWith('before'));
+  }
+  
+  /**
+   * Give a modal dialog semantics: role, aria-modal and an accessible name
+   */
+  function prepareModal(modal) {
+    if (!modal.hasAttribute('role')) modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    
+    if (!modal.hasAttribute('aria-labelledby') && !modal.hasAttribute('aria-label')) {
+      const heading = modal.querySelector('h1, h2, h3');
+      if (heading) {
+        if (!heading.id) heading.id = `${modal.id || 'modal'}-title-${++generatedModalIds}`;
+        modal.setAttribute('aria-labelledby', heading.id);
+      }
+    }
+  }
+  
+  /**
+   * Focusable elements inside a container, in tab order
+   * Skips disabled, hidden and tabindex="-1" elements
+   */
+  function focusableIn(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE)).filter(el =>
+      !el.disabled &&
+      el.getAttribute('tabindex') !== '-1' &&
+      !el.closest('[hidden], [inert]') &&
+      !(el.type === 'hidden')
+    );
+  }
+  
+  /**
+   * Keep Tab and Shift+Tab inside the open modal
+   */
+  function trapFocus(e, modal) {
+    const focusable = focusableIn(modal);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = modal.contains(document.activeElement);
+    
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+  
+  /**
+   * Make everything outside the topmost modal inert, so it can't be
+   * focused, clicked or read by screen readers. Notifications stay live.
+   */
+  function updateInert() {
+    inertElements.forEach(el => { el.inert = false; });
+    inertElements.clear();
+    
+    const top = topModal();
+    if (!top) return;
+    
+    // Walk up from the modal, marking the siblings at every level
+    let node = top.modal;
+    while (node && node !== document.body) {
+      const parent = node.parentElement;
+      if (!parent) break;
+      Array.from(parent.children).forEach(sibling => {
+        if (sibling === node || sibling.inert || ['SCRIPT', 'STYLE'].includes(sibling.tagName)) return;
+        if (sibling.matches('.notification-stack, [aria-live], [role="status"], [role="alert"]')) return;
+        sibling.inert = true;
+        inertElements.add(sibling);
+      });
+      node = parent;
+    }
+  }
+  
+  /**
+   * Open a modal dialog
+   * @param {Element|string} target - Modal element or its id
+   * @param {Object} [options]
+   * @param {Element} [options.trigger] - Element that opened it (passed to events)
+   * @param {Element} [options.returnFocus] - Where focus goes on close (default: the focused element)
+   * @param {Element|string} [options.initialFocus] - Element or selector to focus first
+   * @param {boolean} [options.closeOnEscape=true]
+   * @param {boolean} [options.closeOnBackdrop=true]
+   * @returns {Element|null} The modal, or null if not found or the open was cancelled
+   */
+  function openModal(target, options = {}) {
+    const modal = resolveModal(target);
+    if (!modal) return null;
+    if (modalStack.some(entry => entry.modal === modal)) return modal;
+    
+    if (!dispatchModalEvent(modal, 'beforeopen', { trigger: options.trigger || null, options })) return null;
+    
+    prepareModal(modal);
+    modalStack.push({
+      modal,
+      options,
+      returnFocus: options.returnFocus || options.trigger || document.activeElement
+    });
+    
+    // Later modals sit above earlier ones
+    modal.style.zIndex = modalStack.length > 1 ? String(1000 + modalStack.length) : '';
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden'; // Prevent body scroll
+    updateInert();
+    
+    // Move focus into the dialog
+    const initial = typeof options.initialFocus === 'string'
+      ? modal.querySelector(options.initialFocus)
+      : options.initialFocus;
+    const focusTarget = initial || modal.querySelector('[autofocus]') || focusableIn(modal)[0];
+    if (focusTarget) {
+      focusTarget.focus();
+    } else {
+      modal.setAttribute('tabindex', '-1');
+      modal.focus();
+    }
+    
+    dispatchModalEvent(modal, 'open', { trigger: options.trigger || null, options });
+    return modal;
+  }
+  
+  /**
+   * Close a modal dialog and return focus to whatever opened it
+   * @param {Element|string} target - Modal element or its id
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - Move focus back to the trigger
+   * @returns {boolean} True when the modal was closed
+   */
+  function closeModal(target, options = {}) {
+    const modal = resolveModal(target);
+    if (!modal) return false;
+    
+    const index = modalStack.findIndex(entry => entry.modal === modal);
+    if (index === -1) {
+      modal.classList.remove('active'); // Opened some other way
+      return true;
+    }
+    
+    if (!dispatchModalEvent(modal, 'beforeclose')) return false;
+    
+    const [entry] = modalStack.splice(index, 1);
+    modal.classList.remove('active');
+    modal.style.zIndex = '';
+    if (modalStack.length === 0) {
+      document.body.style.overflow = ''; // Restore body scroll
+    }
+    updateInert();
+    
+    const returnFocus = entry.returnFocus;
+    if (options.restoreFocus !== false && returnFocus && document.contains(returnFocus) && typeof returnFocus.focus === 'function') {
+      returnFocus.focus();
+    }
+    
+    dispatchModalEvent(modal, 'close');
+    return true;
+  }
+
+  // ==========================================================================
+  // LIGHTBOX GALLERY
+  // ==========================================================================
+  
+  const LIGHTBOX_MAX_ZOOM = 4;
+  let lightboxOpener = null;      // open() of the mounted lightbox
+  const SWIPE_DISTANCE = 50;      // px a finger must travel to change image
+  
+  /**
+   * Lightbox for image galleries (page-wide component)
+   * 
+   * - `data-lightbox` images open in a dialog; `data-lightbox="drains"` groups
+   *   images into their own gallery (a bare attribute is the default group)
+   * - Caption from `data-caption`, else the image's <figcaption>, else alt text
+   * - "n of m" counter, prev/next buttons, arrow keys and touch swipe
+   * - Double-click/double-tap or pinch to zoom, drag to pan, +/- keys
+   * - Neighbouring images are preloaded
+   * - Opens through openModal(), so it gets the modal focus trap, inert
+   *   background and focus return
+   */
+  function mountLightbox(root, ctx) {
+    // Create lightbox structure if it doesn't exist
+    if (!document.querySelector('.lightbox')) {
+      const lightbox = document.createElement('div');
+      lightbox.className = 'lightbox';
+      lightbox.setAttribute('data-i18n-attr', 'aria-label:lightbox.label');
+      lightbox.setAttribute('aria-describedby', 'lightbox-caption');
+      lightbox.innerHTML = `
+        <button class="lightbox-close" data-i18n-attr="aria-label:lightbox.close">&times;</button>
+        <button class="lightbox-prev" data-i18n-attr="aria-label:lightbox.previous">&larr;</button>
+        <button class="lightbox-next" data-i18n-attr="aria-label:lightbox.next">&rarr;</button>
+        <figure class="lightbox-content">
+          <div class="lightbox-stage">
+            <img src="" alt="" class="lightbox-image" draggable="false">
+          </div>
+          <figcaption class="lightbox-caption" id="lightbox-caption"></figcaption>
+          <p class="lightbox-counter" aria-live="polite"></p>
+        </figure>
+      `;
+      document.body.appendChild(lightbox);
+      translate(lightbox);
+    }
+    
+    const lightbox = document.querySelector('.lightbox');
+    const stage = lightbox.querySelector('.lightbox-stage');
+    const lightboxImg = lightbox.querySelector('.lightbox-image');
+    const lightboxCaption = lightbox.querySelector('.lightbox-caption');
+    const counter = lightbox.querySelector('.lightbox-counter');
+    const closeBtn = lightbox.querySelector('.lightbox-close');
+    const prevBtn = lightbox.querySelector('.lightbox-prev');
+    const nextBtn = lightbox.querySelector('.lightbox-next');
+    
+    // Gallery images are collected when the lightbox opens so images
+    // rendered after page load (e.g. from the service catalog) are included
+    let galleryImages = [];
+    let currentIndex = 0;
+    const preloaded = new Set();
+    const zoom = { scale: 1, x: 0, y: 0 };
+    const pointers = new Map();   // pointerId → { x, y } while pressed
+    let gesture = null;           // Pinch, pan or swipe in progress
+    let lastTap = 0;
+    
+    const isOpen = () => {
+      const top = topModal();
+      return Boolean(top && top.modal === lightbox);
+    };
+    
+    /**
+     * Open a gallery at one of its images
+     * @param {HTMLImageElement} img - Image to show first
+     * @param {HTMLImageElement[]} [images] - Defaults to img's data-lightbox group
+     * @param {HTMLElement} [returnFocus=img] - Focused again on close
+     * @returns {boolean} Whether the lightbox opened
+     */
+    function open(img, images, returnFocus = img) {
+      const group = img.getAttribute('data-lightbox') || '';
+      if (!images) {
+        images = Array.from(document.querySelectorAll('[data-lightbox]'))
+          .filter(image => (image.getAttribute('data-lightbox') || '') === group);
+      }
+      const detail = { image: img, index: images.indexOf(img), total: images.length, group };
+      if (!emit(img, 'lightbox:beforeopen', detail, true)) return false;
+      
+      galleryImages = images;
+      currentIndex = detail.index;
+      showLightboxImage();
+      if (!openModal(lightbox, { returnFocus, initialFocus: closeBtn })) return false;
+      emit(lightbox, 'lightbox:open', detail);
+      return true;
+    }
+    
+    lightboxOpener = open;
+    
+    ctx.on(document, 'click', (e) => {
+      const img = e.target.closest('[data-lightbox]');
+      if (img) open(img);
+    });
+    
+    // Enter or Space on a focused gallery image
+    ctx.on(document, 'keydown', (e) => {
+      if ((e.key === 'Enter' || e.key === ' ') && e.target.matches && e.target.matches('[data-lightbox]')) {
+        e.preventDefault();
+        open(e.target);
+      }
+    });
+    
+    /**
+     * Caption for an image: data-caption, its figure's caption, or alt text
+     */
+    function captionFor(img) {
+      if (img.hasAttribute('data-caption')) return { text: img.getAttribute('data-caption') };
+      const figcaption = img.closest('figure') && img.closest('figure').querySelector('figcaption');
+      if (figcaption) return { html: figcaption.innerHTML };
+      return { text: img.alt || '' };
+    }
+    
+    // Show image in lightbox
+    function showLightboxImage() {
+      const img = galleryImages[currentIndex];
+      if (!img) return;
+      
+      resetZoom();
+      lightbox.classList.add('is-loading');
+      lightboxImg.onload = lightboxImg.onerror = () => lightbox.classList.remove('is-loading');
+      lightboxImg.src = largestImageSource(img);
+      lightboxImg.alt = img.alt || '';
+      
+      const caption = captionFor(img);
+      if (caption.html !== undefined) {
+        lightboxCaption.innerHTML = caption.html;
+      } else {
+        lightboxCaption.textContent = caption.text;
+      }
+      lightboxCaption.hidden = !lightboxCaption.textContent.trim();
+      counter.textContent = galleryImages.length > 1 ? t('lightbox.counter', { index: currentIndex + 1, total: galleryImages.length }) : '';
+      
+      // Update navigation button states
+      prevBtn.style.display = currentIndex > 0 ? 'flex' : 'none';
+      nextBtn.style.display = currentIndex < galleryImages.length - 1 ? 'flex' : 'none';
+      
+      preloadNeighbours();
+    }
+    
+    /**
+     * Fetch the previous and next images so navigating feels instant
+     */
+    function preloadNeighbours() {
+      [currentIndex - 1, currentIndex + 1].forEach(index => {
+        const img = galleryImages[index];
+        if (!img) return;
+        const url = largestImageSource(img);
+        if (!url || preloaded.has(url)) return;
+        preloaded.add(url);
+        new Image().src = url;
+      });
+    }
+    
+    // Move to another image in the gallery, if there is one
+    function navigate(step) {
+      const index = currentIndex + step;
+      if (index < 0 || index >= galleryImages.length) return;
+      
+      const previousIndex = currentIndex;
+      currentIndex = index;
+      showLightboxImage();
+      emit(lightbox, 'lightbox:navigate', {
+        image: galleryImages[index],
+        index,
+        previousIndex,
+        total: galleryImages.length
+      });
+    }
+    
+    // Close lightbox (Escape and backdrop clicks are handled by the modal code)
+    function closeLightbox() {
+      closeModal(lightbox);
+    }
+    
+    ctx.on(lightbox, 'modal:close', () => {
+      resetZoom();
+      pointers.clear();
+      gesture = null;
+      emit(lightbox, 'lightbox:close', { image: galleryImages[currentIndex], index: currentIndex });
+    });
+    
+    ctx.on(closeBtn, 'click', closeLightbox);
+    
+    // Navigation
+    ctx.on(prevBtn, 'click', () => navigate(-1));
+    ctx.on(nextBtn, 'click', () => navigate(1));
+    
+    // Keyboard navigation and zoom
+    ctx.on(document, 'keydown', (e) => {
+      if (!isOpen()) return;
+      
+      if (e.key === 'ArrowLeft') navigate(-1);
+      if (e.key === 'ArrowRight') navigate(1);
+      if (e.key === '+' || e.key === '=') setZoom(zoom.scale * 1.5);
+      if (e.key === '-') setZoom(zoom.scale / 1.5);
+      if (e.key === '0') resetZoom();
+    });
+    
+    // ------------------------------------------------------------------------
+    // Zoom and pan
+    // ------------------------------------------------------------------------
+    
+    function applyZoom() {
+      // Keep the zoomed image covering the stage: no panning past its edges
+      const maxX = lightboxImg.offsetWidth * (zoom.scale - 1) / 2;
+      const maxY = lightboxImg.offsetHeight * (zoom.scale - 1) / 2;
+      zoom.x = Math.max(-maxX, Math.min(maxX, zoom.x));
+      zoom.y = Math.max(-maxY, Math.min(maxY, zoom.y));
+      
+      lightboxImg.style.transform = zoom.scale === 1 ? '' : `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+      lightbox.classList.toggle('is-zoomed', zoom.scale > 1);
+    }
+    
+    /**
+     * Zoom to a scale, keeping the given point (offset from the image
+     * centre, in screen pixels) in place
+     */
+    function setZoom(scale, focusX = 0, focusY = 0) {
+      const next = Math.max(1, Math.min(LIGHTBOX_MAX_ZOOM, scale));
+      const ratio = next / zoom.scale;
+      zoom.x = focusX - (focusX - zoom.x) * ratio;
+      zoom.y = focusY - (focusY - zoom.y) * ratio;
+      zoom.scale = next;
+      if (next === 1) zoom.x = zoom.y = 0;
+      applyZoom();
+    }
+    
+    function resetZoom() {
+      zoom.scale = 1;
+      zoom.x = zoom.y = 0;
+      applyZoom();
+    }
+    
+    /**
+     * Offset of a screen point from the image centre
+     */
+    function offsetFromCentre(x, y) {
+      const rect = stage.getBoundingClientRect();
+      return { x: x - (rect.left + rect.width / 2), y: y - (rect.top + rect.height / 2) };
+    }
+    
+    function toggleZoom(x, y) {
+      if (zoom.scale > 1) {
+        resetZoom();
+      } else {
+        const point = offsetFromCentre(x, y);
+        setZoom(2.5, point.x, point.y);
+      }
+    }
+    
+    ctx.on(lightboxImg, 'dblclick', (e) => toggleZoom(e.clientX, e.clientY));
+    
+    // One pointer pans (when zoomed) or swipes; two pointers pinch
+    ctx.on(stage, 'pointerdown', (e) => {
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (stage.setPointerCapture) stage.setPointerCapture(e.pointerId);
+      
+      if (pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        const centre = offsetFromCentre((a.x + b.x) / 2, (a.y + b.y) / 2);
+        gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: zoom.scale, centre };
+      } else if (pointers.size === 1) {
+        gesture = {
+          type: zoom.scale > 1 ? 'pan' : 'swipe',
+          startX: e.clientX,
+          startY: e.clientY,
+          originX: zoom.x,
+          originY: zoom.y
+        };
+      }
+    });
+    
+    ctx.on(stage, 'pointermove', (e) => {
+      if (!pointers.has(e.pointerId) || !gesture) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      
+      if (gesture.type === 'pinch' && pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        setZoom(gesture.scale * distance / gesture.distance, gesture.centre.x, gesture.centre.y);
+      } else if (gesture.type === 'pan') {
+        zoom.x = gesture.originX + e.clientX - gesture.startX;
+        zoom.y = gesture.originY + e.clientY - gesture.startY;
+        applyZoom();
+      }
+    });
+    
+    const endPointer = (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      
+      if (gesture && gesture.type === 'swipe' && e.type === 'pointerup') {
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 1.5) {
+          navigate(dx < 0 ? 1 : -1);
+        } else if (e.pointerType === 'touch' && Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+          // Double tap to zoom (touch browsers don't all send dblclick)
+          const now = Date.now();
+          if (now - lastTap < 300) {
+            toggleZoom(e.clientX, e.clientY);
+            lastTap = 0;
+          } else {
+            lastTap = now;
+          }
+        }
+      }
+      // Lifting one finger of a pinch leaves a pan
+      gesture = null;
+      if (pointers.size === 1 && zoom.scale > 1) {
+        const [point] = Array.from(pointers.values());
+        gesture = { type: 'pan', startX: point.x, startY: point.y, originX: zoom.x, originY: zoom.y };
+      }
+    };
+    ctx.on(stage, 'pointerup', endPointer);
+    ctx.on(stage, 'pointercancel', endPointer);
+    
+    return () => { lightboxOpener = null; };
+  }
+  
+  /**
+   * Open a set of images in the lightbox, e.g. both photos of a
+   * before/after comparison
+   * @param {HTMLImageElement[]} images - Need not be [data-lightbox] images
+   * @param {Object} [options]
+   * @param {number} [options.index=0] - Image to show first
+   * @param {HTMLElement} [options.returnFocus] - Focused again on close
+   * @returns {boolean} Whether the lightbox opened
+   */
+  function openLightbox(images, options = {}) {
+    const list = Array.from(images);
+    const img = list[options.index || 0];
+    if (!lightboxOpener || !img) return false;
+    return lightboxOpener(img, list, options.returnFocus || document.activeElement);
+  }
+  
+  /**
+   * Make a gallery image reachable with the keyboard
+   */
+  function mountLightboxTrigger(img) {
+    if (img.matches(FOCUSABLE)) return;
+    img.setAttribute('tabindex', '0');
+    img.setAttribute('role', 'button');
+    img.setAttribute('aria-haspopup', 'dialog');
+    return () => {
+      img.removeAttribute('tabindex');
+      img.removeAttribute('role');
+      img.removeAttribute('aria-haspopup');
+    };
+  }
+
+  // ==========================================================================
+  // BEFORE/AFTER COMPARISON
+  // ==========================================================================
+  
+  /**
+   * Before/after photo slider for a [data-before][data-after] element
+   * 
+   * <div class="before-after" data-before="before.jpg" data-after="after.jpg"
+   *      data-before-alt="…" data-after-alt="…" data-position="40" data-expand></div>
+   * 
+   * - Drag or touch anywhere on the photo to move the divider
+   * - The divider is a native range input, so arrow keys, Home/End and
+   *   screen readers work; it is shown under the photo in browsers without
+   *   pointer events
+   * - data-expand adds a button that opens both photos in the lightbox
+   * - Content inside the element (e.g. two plain <img>s) is the no-JS
+   *   fallback and is put back on unmount
+   */
+  function mountBeforeAfter(element, ctx) {
+    const fallback = element.innerHTML;
+    const start = parseFloat(element.getAttribute('data-position'));
+    
+    element.innerHTML = `
+      <div class="before-after-stage">
+        <img class="before-after-image" alt="" loading="lazy" draggable="false">
+        <div class="before-after-clip">
+          <img class="before-after-image" alt="" loading="lazy" draggable="false">
+        </div>
+        <span class="before-after-label before-after-label-before" aria-hidden="true" data-i18n="beforeAfter.before"></span>
+        <span class="before-after-label before-after-label-after" aria-hidden="true" data-i18n="beforeAfter.after"></span>
+        <span class="before-after-handle" aria-hidden="true"></span>
+      </div>
+      <input type="range" class="before-after-range" min="0" max="100" step="1" data-i18n-attr="aria-label:beforeAfter.label">
+      ${element.hasAttribute('data-expand') ? '<button type="button" class="btn btn-sm btn-secondary before-after-expand" aria-haspopup="dialog" data-i18n="beforeAfter.expand"></button>' : ''}
+    `;
+    translate(element);
+    element.classList.add('is-ready');
+    if (!window.PointerEvent) element.classList.add('before-after-range-visible');
     
-    const lightbox = document.querySelector('.lightbox');
-    const lightboxImg = lightbox.querySelector('.lightbox-image');
-    const lightboxCaption = lightbox.querySelector('.lightbox-caption');
-    const closeBtn = lightbox.querySelector('.lightbox-close');
-    const prevBtn = lightbox.querySelector('.lightbox-prev');
-    const nextBtn = lightbox.querySelector('.lightbox-next');
+    const stage = element.querySelector('.before-after-stage');
+    const range = element.querySelector('.before-after-range');
+    const [afterImg, beforeImg] = element.querySelectorAll('.before-after-image');
     
-    // Get all gallery images
-    const galleryImages = document.querySelectorAll('[data-lightbox]');
-    let currentIndex = 0;
+    // Set from attributes, not the template, so URLs and alt text can't inject markup
+    afterImg.src = element.getAttribute('data-after');
+    beforeImg.src = element.getAttribute('data-before');
+    let dragging = false;
     
-    // Open lightbox
-    galleryImages.forEach((img, index) => {
-      img.style.cursor = 'pointer';
-      img.addEventListener('click', () => {
-        currentIndex = index;
-        showLightboxImage();
-        lightbox.classList.add('active');
-        document.body.style.overflow = 'hidden';
-      });
-    });
+    /**
+     * Alt text and lightbox captions, in the current language
+     */
+    function describeImages() {
+      const beforeAlt = element.getAttribute('data-before-alt') || t('beforeAfter.before');
+      const afterAlt = element.getAttribute('data-after-alt') || t('beforeAfter.after');
+      afterImg.alt = afterAlt;
+      afterImg.setAttribute('data-caption', t('beforeAfter.afterCaption', { alt: afterAlt }));
+      beforeImg.alt = beforeAlt;
+      beforeImg.setAttribute('data-caption', t('beforeAfter.beforeCaption', { alt: beforeAlt }));
+    }
     
-    // Show image in lightbox
-    function showLightboxImage() {
-      if (galleryImages[currentIndex]) {
-        const img = galleryImages[currentIndex];
-        lightboxImg.src = img.src || img.dataset.src;
-        lightboxImg.alt = img.alt || '';
-        lightboxCaption.textContent = img.alt || '';
-        
-        // Update navigation button states
-        prevBtn.style.display = currentIndex > 0 ? 'block' : 'none';
-        nextBtn.style.display = currentIndex < galleryImages.length - 1 ? 'block' : 'none';
-      }
+    /**
+     * Move the divider; position is the share of the before photo (0-100)
+     */
+    function setPosition(position, announce = false) {
+      const value = Math.round(Math.max(0, Math.min(100, position)));
+      element.style.setProperty('--before-after-position', `${value}%`);
+      range.value = value;
+      range.setAttribute('aria-valuetext', t('beforeAfter.valueText', { before: value, after: 100 - value }));
+      if (announce) emit(element, 'beforeafter:change', { container: element, position: value });
     }
     
-    // Close lightbox
-    function closeLightbox() {
-      lightbox.classList.remove('active');
-      document.body.style.overflow = '';
+    function positionAt(clientX) {
+      const rect = stage.getBoundingClientRect();
+      return rect.width ? (clientX - rect.left) / rect.width * 100 : Number(range.value);
     }
     
-    closeBtn.addEventListener('click', closeLightbox);
-    lightbox.addEventListener('click', (e) => {
-      if (e.target === lightbox) closeLightbox();
+    describeImages();
+    setPosition(isNaN(start) ? 50 : start);
+    ctx.on(document, 'language:change', () => {
+      describeImages();
+      setPosition(range.value);
     });
     
-    // Navigation
-    prevBtn.addEventListener('click', () => {
-      if (currentIndex > 0) {
-        currentIndex--;
-        showLightboxImage();
-      }
-    });
+    ctx.on(range, 'input', () => setPosition(range.value));
+    ctx.on(range, 'change', () => setPosition(range.value, true));
     
-    nextBtn.addEventListener('click', () => {
-      if (currentIndex < galleryImages.length - 1) {
-        currentIndex++;
-        showLightboxImage();
-      }
+    // Drag with a mouse, pen or finger; vertical swipes still scroll the page
+    ctx.on(stage, 'pointerdown', (e) => {
+      if (e.button > 0) return;
+      dragging = true;
+      if (stage.setPointerCapture) stage.setPointerCapture(e.pointerId);
+      element.classList.add('is-dragging');
+      setPosition(positionAt(e.clientX));
     });
-    
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (!lightbox.classList.contains('active')) return;
-      
-      if (e.key === 'Escape') closeLightbox();
-      if (e.key === 'ArrowLeft' && currentIndex > 0) {
-        currentIndex--;
-        showLightboxImage();
-      }
-      if (e.key === 'ArrowRight' && currentIndex < galleryImages.length - 1) {
-        currentIndex++;
-        showLightboxImage();
-      }
+    ctx.on(stage, 'pointermove', (e) => {
+      if (dragging) setPosition(positionAt(e.clientX));
     });
+    const endDrag = () => {
+      if (!dragging) return;
+      dragging = false;
+      element.classList.remove('is-dragging');
+      setPosition(range.value, true);
+    };
+    ctx.on(stage, 'pointerup', endDrag);
+    ctx.on(stage, 'pointercancel', endDrag);
+    
+    const expand = element.querySelector('.before-after-expand');
+    if (expand) {
+      ctx.on(expand, 'click', () => openLightbox([beforeImg, afterImg], { returnFocus: expand }));
+    }
+    
+    return () => {
+      element.innerHTML = fallback;
+      element.classList.remove('is-ready', 'is-dragging', 'before-after-range-visible');
+      element.style.removeProperty('--before-after-position');
+    };
   }
 
   // ==========================================================================
@@ -647,205 +2856,713 @@
   // ==========================================================================
   
   /**
-   * Initialize search and filter for content
-   * Filter services, products, or events dynamically
+   * Words that should find each other. Keys and values are single words;
+   * add site-specific ones with FriendlyFixConfig.searchSynonyms
    */
-  function initSearch() {
-    const searchInput = document.querySelector('[data-search]');
-    if (!searchInput) return;
+  const searchSynonyms = Object.assign({
+    clog: ['drain'],
+    clogged: ['drain'],
+    blocked: ['drain'],
+    backup: ['sewer', 'drain'],
+    drip: ['leak'],
+    flood: ['leak', 'emergency'],
+    burst: ['pipe', 'emergency'],
+    urgent: ['emergency'],
+    boiler: ['heater'],
+    hot: ['heater'],
+    tankless: ['heater'],
+    faucet: ['fixture'],
+    tap: ['fixture', 'faucet'],
+    sink: ['fixture', 'drain'],
+    toilet: ['fixture'],
+    sewage: ['sewer'],
+    septic: ['sewer']
+  }, config.searchSynonyms);
+  
+  /**
+   * Reduce a word to a comparable form: lowercase, no accents, and simple
+   * English endings removed ("leaking" → "leak", "pipes" → "pipe")
+   * @param {string} word
+   * @returns {string}
+   */
+  function stem(word) {
+    let token = word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (token.length > 5 && token.endsWith('ing')) {
+      token = token.slice(0, -3);
+      if (/([^aeiouls])\1$/.test(token)) token = token.slice(0, -1); // "clogg" → "clog"
+    } else if (token.length > 4 && token.endsWith('ies')) {
+      token = token.slice(0, -3) + 'y';
+    } else if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+      token = token.slice(0, -1);
+    }
+    return token;
+  }
+  
+  /**
+   * Split text into stemmed tokens; hyphens and punctuation separate words
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function tokenize(text) {
+    return (String(text).match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+  }
+  
+  /**
+   * Edit distance allowing one swap of neighbouring letters ("draine",
+   * "heatr", "lekas"). Stops early once the distance exceeds max.
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let twoBack = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (twoBack && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], twoBack[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      twoBack = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+  
+  /**
+   * Build a search entry from weighted pieces of text
+   * @param {Array<{text: string, weight: number}>} fields - e.g. title ×3, body ×1
+   * @returns {{fields: Array<{tokens: string[], weight: number}>, title: string}}
+   */
+  function buildSearchEntry(fields) {
+    return {
+      fields: fields.map(field => ({ tokens: tokenize(field.text), weight: field.weight })),
+      title: tokenize(fields[0] ? fields[0].text : '').join(' ')
+    };
+  }
+  
+  /**
+   * How well one indexed token matches one query token (0 = no match)
+   */
+  function matchToken(queryToken, token, synonyms) {
+    if (token === queryToken) return 1;
+    if (queryToken.length >= 2 && token.startsWith(queryToken)) return 0.8; // Still typing
+    if (synonyms.includes(token)) return 0.7;
+    const allowed = queryToken.length <= 3 ? 0 : queryToken.length <= 6 ? 1 : 2;
+    if (allowed === 0) return 0;
+    const distance = editDistance(queryToken, token, allowed);
+    return distance <= allowed ? 0.65 - distance * 0.1 : 0;
+  }
+  
+  /**
+   * Score an entry against a query. Query words match exactly, as a
+   * prefix, via a synonym or with a small typo; at least half of them
+   * must match, and entries matching more of them rank higher
+   * @param {Object} entry - From buildSearchEntry()
+   * @param {string} query - Raw query text
+   * @returns {{score: number, matched: Set<string>}} score 0 means no match
+   */
+  function scoreSearchEntry(entry, query) {
+    const queryTokens = tokenize(query).filter(token => token.length > 1); // Ignore stray letters
+    const matched = new Set();
+    let score = 0;
+    let hits = 0;
+    if (queryTokens.length === 0) return { score: 1, matched };
+    
+    queryTokens.forEach(queryToken => {
+      const synonyms = (searchSynonyms[queryToken] || []).map(stem);
+      let best = 0;
+      entry.fields.forEach(field => {
+        field.tokens.forEach(token => {
+          const value = matchToken(queryToken, token, synonyms) * field.weight;
+          if (value > 0) matched.add(token);
+          best = Math.max(best, value);
+        });
+      });
+      if (best > 0) hits++;
+      score += best;
+    });
+    
+    if (hits < Math.ceil(queryTokens.length / 2)) return { score: 0, matched: new Set() };
+    score *= hits / queryTokens.length;
     
-    const searchableItems = document.querySelectorAll('[data-searchable]');
+    // Bonus when the whole query appears in the title as typed
+    if (queryTokens.length > 1 && entry.title.includes(queryTokens.join(' '))) score += 2;
+    return { score, matched };
+  }
+  
+  /**
+   * Search and filter for content, driven by a [data-search] input
+   * Items are indexed once (title, categories, data-keywords and text),
+   * ranked by relevance, and reordered so the best matches come first
+   */
+  function mountSearch(searchInput, ctx) {
     const filterButtons = document.querySelectorAll('[data-filter]');
+    const modeControl = document.querySelector('[data-filter-mode]');
+    const clearControl = document.querySelector('[data-filter-clear]');
     const noResultsMessage = document.querySelector('.no-results') || createNoResultsMessage();
+    const status = createStatusMessage();
+    let index = new WeakMap(); // item → { entry, order }
+    let indexed = 0;
+    let announceTimer;
     
-    // Search functionality
-    searchInput.addEventListener('input', (e) => {
-      const query = e.target.value.toLowerCase().trim();
+    /**
+     * Index an item the first time it is seen; content rendered later
+     * (e.g. the service catalog) is picked up on the next refresh
+     */
+    function indexItem(item, order = indexed++) {
+      if (!index.has(item)) {
+        const heading = item.querySelector('h1, h2, h3, h4, h5, h6');
+        index.set(item, {
+          order,
+          entry: buildSearchEntry([
+            { text: heading ? heading.textContent : '', weight: 3 },
+            { text: (item.getAttribute('data-category') || '') + ' ' + (item.getAttribute('data-keywords') || ''), weight: 2 },
+            { text: item.textContent, weight: 1 }
+          ])
+        });
+      }
+      return index.get(item);
+    }
+    
+    /**
+     * Show items matching both the search query and the active filter
+     * Items are queried on every run so rendered content is included
+     */
+    function applyFilters() {
+      const query = searchInput.value.trim();
+      const items = Array.from(document.querySelectorAll('[data-searchable]'));
+      const filters = getActiveFilters();
+      const mode = getFilterMode();
+      const scores = new Map();
+      const counts = { all: 0 };
       let visibleCount = 0;
       
-      searchableItems.forEach(item => {
-        const text = item.textContent.toLowerCase();
-        const matchesSearch = text.includes(query);
-        const matchesFilter = checkFilter(item);
+      items.forEach(item => {
+        const { entry } = indexItem(item);
+        const result = query ? scoreSearchEntry(entry, query) : { score: 1, matched: new Set() };
+        const categories = itemCategories(item);
+        clearHighlights(item);
+        
+        // Count search matches per category for the filter buttons
+        if (result.score > 0) {
+          counts.all++;
+          categories.forEach(category => { counts[category] = (counts[category] || 0) + 1; });
+        }
         
-        if (matchesSearch && matchesFilter) {
+        if (result.score > 0 && matchesFilters(categories, filters, mode)) {
           item.style.display = '';
           item.style.animation = 'fadeInUp 0.3s ease-out';
+          scores.set(item, query ? result.score : 0);
+          highlight(item, result.matched);
           visibleCount++;
         } else {
           item.style.display = 'none';
         }
       });
       
+      reorder(items, scores);
+      updateFilterCounts(counts);
+      if (clearControl) clearControl.hidden = !query && filters.length === 0;
+      
       // Show/hide no results message
       noResultsMessage.style.display = visibleCount === 0 ? 'block' : 'none';
-    });
+      announce(visibleCount, query);
+      emit(searchInput, 'search:results', { query, filters, mode, count: visibleCount, total: items.length });
+    }
     
-    // Filter functionality
-    filterButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        // Update active filter button
-        filterButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
-        
-        const filter = button.getAttribute('data-filter');
-        let visibleCount = 0;
+    /**
+     * Report a change made with the filter controls
+     */
+    function emitFilterChange(source) {
+      emit(searchInput, 'filter:change', { filters: getActiveFilters(), mode: getFilterMode(), source });
+    }
+    
+    /**
+     * Show how many items matching the current search each filter has
+     */
+    function updateFilterCounts(counts) {
+      filterButtons.forEach(button => {
+        let badge = button.querySelector('.filter-count');
+        if (!badge) {
+          badge = document.createElement('span');
+          badge.className = 'filter-count';
+          button.appendChild(badge);
+        }
+        badge.textContent = formatNumber(counts[button.getAttribute('data-filter')] || 0);
+      });
+    }
+    
+    /**
+     * Sort items by score within each container, best first; with no
+     * query the original order comes back
+     */
+    function reorder(items, scores) {
+      const groups = new Map();
+      items.forEach(item => {
+        if (!groups.has(item.parentNode)) groups.set(item.parentNode, []);
+        groups.get(item.parentNode).push(item);
+      });
+      
+      groups.forEach(group => {
+        const sorted = group.slice().sort((a, b) =>
+          (scores.get(b) || 0) - (scores.get(a) || 0) || index.get(a).order - index.get(b).order);
+        if (sorted.every((item, i) => item === group[i])) return;
         
-        searchableItems.forEach(item => {
-          const categories = item.getAttribute('data-category');
-          const matchesFilter = filter === 'all' || categories.includes(filter);
-          const matchesSearch = checkSearch(item, searchInput.value);
-          
-          if (matchesFilter && matchesSearch) {
-            item.style.display = '';
-            item.style.animation = 'fadeInUp 0.3s ease-out';
-            visibleCount++;
-          } else {
-            item.style.display = 'none';
-          }
+        // Swap through placeholders so items keep the slots they occupied
+        const slots = group.map(item => {
+          const slot = document.createComment('');
+          item.replaceWith(slot);
+          return slot;
         });
+        slots.forEach((slot, i) => slot.replaceWith(sorted[i]));
+      });
+    }
+    
+    /**
+     * Announce the number of results once typing pauses
+     */
+    function announce(count, query) {
+      clearTimeout(announceTimer);
+      announceTimer = setTimeout(() => {
+        if (!query && getActiveFilters().length === 0) {
+          status.textContent = '';
+          return;
+        }
+        const results = t('search.results', { count });
+        status.textContent = query ? t('search.resultsFor', { results, query }) : results;
+      }, 400);
+    }
+    
+    // Search functionality
+    ctx.on(searchInput, 'input', applyFilters);
+    
+    // Filter functionality: category buttons toggle, "all" clears them
+    filterButtons.forEach(button => {
+      ctx.on(button, 'click', () => {
+        const filter = button.getAttribute('data-filter');
+        const filters = getActiveFilters();
         
-        noResultsMessage.style.display = visibleCount === 0 ? 'block' : 'none';
+        if (filter === 'all') {
+          setActiveFilters([]);
+        } else if (filters.includes(filter)) {
+          setActiveFilters(filters.filter(f => f !== filter));
+        } else {
+          setActiveFilters(filters.concat(filter));
+        }
+        applyFilters();
+        emitFilterChange('filter');
+        writeUrlState({ filter: getActiveFilters().join(',') });
       });
     });
     
-    function checkFilter(item) {
-      const activeFilter = document.querySelector('[data-filter].active');
-      if (!activeFilter) return true;
-      
-      const filter = activeFilter.getAttribute('data-filter');
-      const categories = item.getAttribute('data-category') || '';
-      return filter === 'all' || categories.includes(filter);
+    // Any/all matching when several filters are selected
+    if (modeControl) {
+      ctx.on(modeControl, 'change', () => {
+        applyFilters();
+        emitFilterChange('mode');
+        writeUrlState({ match: getFilterMode() === 'all' ? 'all' : null });
+      });
     }
     
-    function checkSearch(item, query) {
-      if (!query) return true;
-      const text = item.textContent.toLowerCase();
-      return text.includes(query.toLowerCase());
+    // Reset filters and the search query together
+    if (clearControl) {
+      ctx.on(clearControl, 'click', () => {
+        setActiveFilters([]);
+        searchInput.value = '';
+        applyFilters();
+        emitFilterChange('clear');
+        writeUrlState({ filter: null, q: null });
+        searchInput.focus();
+      });
     }
     
+    // Keep the query in the URL without adding a history entry per keystroke
+    let urlTimer;
+    ctx.on(searchInput, 'input', () => {
+      clearTimeout(urlTimer);
+      urlTimer = setTimeout(() => writeUrlState({ q: searchInput.value.trim() || null }, true), 300);
+    });
+    
+    // Build the index up front for items already on the page
+    document.querySelectorAll('[data-searchable]').forEach(item => indexItem(item));
+    
+    // Translated items need new entries; keep their original order
+    ctx.on(document, 'language:change', () => {
+      const previous = index;
+      index = new WeakMap();
+      document.querySelectorAll('[data-searchable]').forEach(item => {
+        if (previous.has(item)) indexItem(item, previous.get(item).order);
+      });
+      applyFilters();
+    });
+    setActiveFilters(getActiveFilters());
+    updateFilterCounts(countCategories());
+    refreshSearch = applyFilters;
+    
+    const teardown = () => {
+      clearTimeout(announceTimer);
+      clearTimeout(urlTimer);
+      status.remove();
+      refreshSearch = function () {};
+    };
+    
     function createNoResultsMessage() {
       const message = document.createElement('div');
       message.className = 'no-results';
       message.style.display = 'none';
-      message.innerHTML = '<p>No results found. Try a different search term.</p>';
+      message.innerHTML = '<p data-i18n="search.noResults"></p>';
+      translate(message);
       const searchContainer = searchInput.closest('.search-container') || document.querySelector('.cards');
       if (searchContainer) {
         searchContainer.parentNode.insertBefore(message, searchContainer.nextSibling);
       }
       return message;
     }
+    
+    function createStatusMessage() {
+      const message = document.createElement('p');
+      message.className = 'search-status visually-hidden';
+      message.setAttribute('role', 'status');
+      message.setAttribute('aria-live', 'polite');
+      searchInput.insertAdjacentElement('afterend', message);
+      return message;
+    }
+    
+    return teardown;
   }
-
-  // ==========================================================================
-  // DYNAMIC CONTENT LOADING
-  // ==========================================================================
   
   /**
-   * Load content dynamically with fade-in animation
-   * Simulates loading posts, products, or listings
+   * Categories of an item, from its space-separated data-category
+   * @param {Element} item
+   * @returns {string[]}
+   */
+  function itemCategories(item) {
+    return (item.getAttribute('data-category') || '').split(/\s+/).filter(Boolean);
+  }
+  
+  /**
+   * Count items per category (and in total as "all")
+   */
+  function countCategories() {
+    const counts = { all: 0 };
+    document.querySelectorAll('[data-searchable]').forEach(item => {
+      counts.all++;
+      itemCategories(item).forEach(category => { counts[category] = (counts[category] || 0) + 1; });
+    });
+    return counts;
+  }
+  
+  /**
+   * Check an item's categories against the selected filters
+   * @param {string[]} categories - The item's categories
+   * @param {string[]} filters - Selected filters (none means everything matches)
+   * @param {string} mode - 'any' (OR) or 'all' (AND)
+   */
+  function matchesFilters(categories, filters, mode) {
+    if (filters.length === 0) return true;
+    return mode === 'all'
+      ? filters.every(filter => categories.includes(filter))
+      : filters.some(filter => categories.includes(filter));
+  }
+  
+  /**
+   * Selected category filters, not counting "all"
+   * @returns {string[]}
+   */
+  function getActiveFilters() {
+    return Array.from(document.querySelectorAll('[data-filter].active'))
+      .map(button => button.getAttribute('data-filter'))
+      .filter(filter => filter !== 'all');
+  }
+  
+  /**
+   * Select exactly these filters; "all" is active when none are
+   * @param {string[]} filters
+   */
+  function setActiveFilters(filters) {
+    document.querySelectorAll('[data-filter]').forEach(button => {
+      const filter = button.getAttribute('data-filter');
+      const active = filter === 'all' ? filters.length === 0 : filters.includes(filter);
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+  }
+  
+  /**
+   * How several filters combine: 'all' (AND) or 'any' (OR, the default)
+   */
+  function getFilterMode() {
+    const control = document.querySelector('[data-filter-mode]');
+    return control && control.value === 'all' ? 'all' : 'any';
+  }
+  
+  /**
+   * Wrap words whose token was matched in <mark> (headings and paragraphs only)
+   * @param {Element} item - Search result
+   * @param {Set<string>} tokens - Matched index tokens
    */
-  function initDynamicContent() {
-    const loadMoreButtons = document.querySelectorAll('[data-load-more]');
+  function highlight(item, tokens) {
+    if (tokens.size === 0) return;
     
-    loadMoreButtons.forEach(button => {
-      button.addEventListener('click', function() {
-        const container = document.querySelector(this.getAttribute('data-target'));
-        if (!container) return;
+    item.querySelectorAll('h1, h2, h3, h4, h5, h6, p').forEach(block => {
+      const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+      const textNodes = [];
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+      
+      textNodes.forEach(node => {
+        const text = node.textContent;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        let found = false;
         
-        // Simulate loading state
-        this.classList.add('loading');
-        this.disabled = true;
-        const originalText = this.textContent;
-        this.textContent = 'Loading...';
+        text.replace(/[\p{L}\p{N}]+/gu, (word, offset) => {
+          if (!tokens.has(stem(word))) return word;
+          found = true;
+          fragment.append(text.slice(last, offset));
+          const mark = document.createElement('mark');
+          mark.className = 'search-highlight';
+          mark.textContent = word;
+          fragment.append(mark);
+          last = offset + word.length;
+          return word;
+        });
         
-        // Simulate API call delay
-        setTimeout(() => {
-          // Example: Clone existing items to simulate new content
-          const items = container.querySelectorAll('[data-searchable]');
-          const newItems = [];
-          
-          for (let i = 0; i < Math.min(3, items.length); i++) {
-            const clone = items[i].cloneNode(true);
-            clone.style.opacity = '0';
-            container.appendChild(clone);
-            newItems.push(clone);
-          }
-          
-          // Animate new items in
-          newItems.forEach((item, index) => {
-            setTimeout(() => {
-              item.style.transition = 'opacity 0.5s ease-out';
-              item.style.opacity = '1';
-            }, index * 100);
-          });
-          
-          // Reset button
-          this.classList.remove('loading');
-          this.disabled = false;
-          this.textContent = originalText;
-        }, 1000);
+        if (found) {
+          fragment.append(text.slice(last));
+          node.replaceWith(fragment);
+        }
       });
     });
   }
+  
+  /**
+   * Remove highlights added by highlight()
+   * @param {Element} item
+   */
+  function clearHighlights(item) {
+    item.querySelectorAll('mark.search-highlight').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(mark.textContent);
+      parent.normalize();
+    });
+  }
+  
+  // Re-applies the current search and filter; replaced by mountSearch
+  let refreshSearch = function () {};
 
   // ==========================================================================
-  // ADVANCED ANIMATIONS
+  // URL STATE
   // ==========================================================================
   
   /**
-   * Initialize advanced CSS and JavaScript animations
-   * Parallax effects, hover animations, etc.
+   * Write state to the query string, e.g. ?tab=emergency&filter=commercial&q=heater
+   * Null or empty values remove the parameter
+   * @param {Object} changes - Parameters to set
+   * @param {boolean} [replace=false] - Replace the current history entry instead of adding one
    */
-  function initAdvancedAnimations() {
-    // Parallax scrolling effect
-    const parallaxElements = document.querySelectorAll('[data-parallax]');
-    if (parallaxElements.length > 0) {
-      window.addEventListener('scroll', () => {
-        const scrolled = window.pageYOffset;
-        parallaxElements.forEach(element => {
-          const speed = element.getAttribute('data-parallax') || 0.5;
-          element.style.transform = `translateY(${scrolled * speed}px)`;
-        });
-      });
+  function writeUrlState(changes, replace = false) {
+    if (!window.history || !window.history.pushState) return;
+    
+    const url = new URL(window.location.href);
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === null || changes[key] === '') {
+        url.searchParams.delete(key);
+      } else {
+        url.searchParams.set(key, changes[key]);
+      }
+    });
+    url.search = url.searchParams.toString().replace(/%2C/g, ','); // Keep lists readable: filter=a,b
+    
+    if (url.href === window.location.href) return;
+    if (replace) {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(null, '', url);
     }
+    emit(document, 'url:change', { changes, url: url.href, replace });
+  }
+  
+  /**
+   * Restore tab, filter and search from the URL
+   * Runs on load and whenever back/forward changes the URL
+   * @param {boolean} [initial=false] - Skip re-filtering when the URL holds no search state
+   */
+  function applyUrlState(initial = false) {
+    const params = new URLSearchParams(window.location.search);
+    
+    document.querySelectorAll('.tabs-container').forEach(container => {
+      const param = tabUrlParam(container);
+      if (!param) return;
+      
+      const { buttons } = tabParts(container);
+      const value = params.get(param);
+      if (!value && initial) return; // Keep the default or remembered tab
+      const index = value ? buttons.findIndex((button, i) => tabKey(button, i) === value) : 0;
+      if (index >= 0 && buttons[index] && !buttons[index].classList.contains('active')) {
+        activateTab(container, index, !initial, 'url');
+      }
+    });
+    
+    const searchInput = document.querySelector('[data-search]');
+    if (!searchInput) return;
+    
+    const filters = (params.get('filter') || '').split(',').filter(Boolean);
+    setActiveFilters(filters);
+    const modeControl = document.querySelector('[data-filter-mode]');
+    if (modeControl) modeControl.value = params.get('match') === 'all' ? 'all' : 'any';
+    searchInput.value = params.get('q') || '';
+    
+    if (!initial || params.has('filter') || params.has('q') || params.has('match')) refreshSearch();
+  }
+  
+  /**
+   * Restore state from the URL and follow back/forward navigation
+   * (page-wide component, mounted after tabs and search)
+   */
+  function mountUrlState(root, ctx) {
+    applyUrlState(true);
+    ctx.on(window, 'popstate', () => {
+      applyUrlState();
+      emit(document, 'url:restore', { url: window.location.href });
+    });
+  }
+
+  // ==========================================================================
+  // DYNAMIC CONTENT LOADING
+  // ==========================================================================
+  
+  /**
+   * Load content dynamically with fade-in animation
+   * Simulates loading posts, products, or listings. Buttons with
+   * data-load-more="catalog" are paginated by catalog.js instead.
+   */
+  function mountLoadMore(button, ctx) {
+    let timer;
     
-    // Hover tilt effect for cards
-    const tiltCards = document.querySelectorAll('[data-tilt]');
-    tiltCards.forEach(card => {
-      card.addEventListener('mousemove', (e) => {
-        const rect = card.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    ctx.on(button, 'click', function() {
+      const container = document.querySelector(this.getAttribute('data-target'));
+      if (!container) return;
+      
+      // Simulate loading state
+      this.classList.add('loading');
+      this.disabled = true;
+      const originalText = this.textContent;
+      this.textContent = t('content.loading');
+      
+      // Simulate API call delay
+      timer = setTimeout(() => {
+        // Example: Clone existing items to simulate new content
+        const items = container.querySelectorAll('[data-searchable]');
+        const newItems = [];
         
-        const centerX = rect.width / 2;
-        const centerY = rect.height / 2;
+        for (let i = 0; i < Math.min(3, items.length); i++) {
+          const clone = items[i].cloneNode(true);
+          clone.style.opacity = '0';
+          container.appendChild(clone);
+          newItems.push(clone);
+        }
         
-        const rotateX = (y - centerY) / 10;
-        const rotateY = (centerX - x) / 10;
+        // Animate new items in
+        newItems.forEach((item, index) => {
+          setTimeout(() => {
+            item.style.transition = 'opacity 0.5s ease-out';
+            item.style.opacity = '1';
+          }, index * 100);
+        });
+        enhanceContent(container);
+        emit(container, 'content:load', { container, items: newItems, button: this });
         
-        card.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale3d(1.05, 1.05, 1.05)`;
-      });
+        // Reset button
+        this.classList.remove('loading');
+        this.disabled = false;
+        this.textContent = originalText;
+      }, 1000);
+    });
+    
+    return () => clearTimeout(timer);
+  }
+
+  /**
+   * Wire up content inserted after page load
+   * Mounts components on the new elements (already-mounted ones are
+   * skipped) and re-applies the active search and filter
+   * @param {ParentNode} root - Container holding the new content
+   */
+  function enhanceContent(root) {
+    mount(root);
+    refreshSearch();
+  }
+
+  // ==========================================================================
+  // ADVANCED ANIMATIONS
+  // ==========================================================================
+  
+  /**
+   * Parallax scrolling effect for a [data-parallax] element
+   * data-parallax holds the speed (default 0.5)
+   */
+  function mountParallax(element, ctx) {
+    const speed = element.getAttribute('data-parallax') || 0.5;
+    ctx.on(window, 'scroll', () => {
+      const scrolled = window.pageYOffset;
+      element.style.transform = `translateY(${scrolled * speed}px)`;
+    }, { passive: true });
+  }
+  
+  /**
+   * 3D hover tilt for a [data-tilt] card
+   */
+  function mountTilt(card, ctx) {
+    ctx.on(card, 'mousemove', (e) => {
+      const rect = card.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
       
-      card.addEventListener('mouseleave', () => {
-        card.style.transform = 'perspective(1000px) rotateX(0) rotateY(0) scale3d(1, 1, 1)';
-      });
+      const centerX = rect.width / 2;
+      const centerY = rect.height / 2;
+      
+      const rotateX = (y - centerY) / 10;
+      const rotateY = (centerX - x) / 10;
+      
+      card.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale3d(1.05, 1.05, 1.05)`;
     });
     
-    // Counter animation
-    const counters = document.querySelectorAll('[data-counter]');
-    const counterObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const counter = entry.target;
-          const target = parseInt(counter.getAttribute('data-counter'));
-          animateCounter(counter, 0, target, 2000);
-          counterObserver.unobserve(counter);
-        }
-      });
+    ctx.on(card, 'mouseleave', () => {
+      card.style.transform = 'perspective(1000px) rotateX(0) rotateY(0) scale3d(1, 1, 1)';
     });
+  }
+  
+  let counterObserver = null;
+  
+  /**
+   * Count a [data-counter] element up to its value when it scrolls into view
+   */
+  function mountCounter(counter) {
+    if (!('IntersectionObserver' in window)) {
+      counter.textContent = counter.getAttribute('data-counter');
+      return;
+    }
+    
+    if (!counterObserver) {
+      counterObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            const target = parseInt(entry.target.getAttribute('data-counter'));
+            animateCounter(entry.target, 0, target, 2000);
+            counterObserver.unobserve(entry.target);
+          }
+        });
+      });
+    }
     
-    counters.forEach(counter => counterObserver.observe(counter));
+    counterObserver.observe(counter);
+    return () => counterObserver.unobserve(counter);
   }
   
   function animateCounter(element, start, end, duration) {
@@ -856,30 +3573,92 @@
     const timer = setInterval(() => {
       current += increment;
       if (current >= end) {
-        element.textContent = end;
+        element.textContent = formatNumber(end);
         clearInterval(timer);
       } else {
-        element.textContent = Math.floor(current);
+        element.textContent = formatNumber(Math.floor(current));
       }
     }, 16);
   }
 
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+  
   /**
    * Expose public functions for external use
-   * Allows other scripts to interact with the module
+   * Allows other scripts to interact with the module. Optional modules
+   * (validation.js, ...) add themselves to the same namespace.
    */
-  window.FriendlyFix = {
-    showNotification,        // Show toast notifications
-    initScrollAnimations,    // Re-initialize scroll animations
+  window.FriendlyFix = Object.assign(window.FriendlyFix || {}, {
+    config,                  // Active site configuration
+    showNotification,        // Show toast notifications (returns { id, dismiss })
+    notifications: {         // Notification history for this session
+      history: readNotificationHistory,
+      clearHistory: clearNotificationHistory
+    },
+    sendSubmission,          // Submit data with offline queueing
+    serializeForm,           // Collect form fields into an object
+    on,                      // Listen for component events; returns an unsubscribe function
+    off,                     // Remove a listener added with on()
+    emit,                    // Dispatch an event through the bus (used by map.js etc.)
+    mount,                   // Mount components inside a root (idempotent)
+    unmount,                 // Tear components down and remove their listeners
+    components: {            // Component registry
+      register: registerComponent,
+      observe: observeDom,   // Auto-mount added elements; returns a stop function
+      disconnect: stopObservingDom,
+      get names() { return components.map(component => component.name); }
+    },
+    setTheme,                // ('light' | 'dark' | 'system', { contrast }) → current theme
+    getTheme: currentTheme,  // → { theme, contrast, resolved, highContrast }
+    openModal,               // Open a modal by element or id, with options
     closeModal,              // Close modal programmatically
-    initTabs,                // Initialize tabs
-    initAccordions,          // Initialize accordions
-    initModals,              // Initialize modals
-    initLightbox,            // Initialize lightbox
-    initSearch,              // Initialize search
-    initDynamicContent,      // Initialize dynamic content
-    initAdvancedAnimations   // Initialize advanced animations
-  };
+    openLightbox,            // Show a list of images in the lightbox
+    applyUrlState,           // Re-apply tab, filter and search from the URL
+    search: {                // Search helpers (tokenizer, ranking, synonyms)
+      tokenize,
+      buildEntry: buildSearchEntry,
+      score: scoreSearchEntry,
+      synonyms: searchSynonyms
+    },
+    enhance: enhanceContent, // Wire up content added after load
+    i18n: {                  // Translations (see TRANSLATIONS above)
+      t,                     // (key, vars) → text in the current language
+      addMessages,           // ({ key: 'English text' }) for other scripts' keys
+      setLanguage,           // (code, { persist }) → Promise<boolean>
+      get language() { return language; },
+      get ready() { return languageReady; },
+      languages: config.languages,
+      translate,             // Re-translate [data-i18n] elements inside a root
+      formatNumber,
+      formatDate
+    },
+    
+    // Older per-feature initializers, kept for existing scripts; they now
+    // mount the matching components and are safe to call more than once
+    initScrollAnimations: () => mount(document, ['scroll-animations']),
+    initTabs: () => mount(document, ['tabs']),
+    initAccordions: () => mount(document, ['accordions']),
+    initModals: () => mount(document, ['modals']),
+    initLightbox: () => mount(document, ['lightbox']),
+    initSearch: () => mount(document, ['search']),
+    initDynamicContent: () => mount(document, ['load-more']),
+    initAdvancedAnimations: () => mount(document, ['parallax', 'tilt', 'counters'])
+  });
+
+  // ==========================================================================
+  // MODULE INITIALIZATION
+  // ==========================================================================
+  
+  // Runs last so every component's module-level state exists before mount()
+  if (document.readyState === 'loading') {
+    // DOM is still loading, wait for DOMContentLoaded event
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    // DOM is already loaded, initialize immediately
+    init();
+  }
 
 })();
 
@@ -1,43 +1,193 @@
 /**
  * Interactive Map Module for Friendly Fix Plumbing
  * Uses Leaflet.js for interactive location-based features
- * 
- * @version 1.0.0
+ *
+ * Locations (branches and technician depots) come from the JSON file named
+ * in data-locations on #map, or from FriendlyFixConfig.locations:
+ *   { "id": "brooklyn", "name": "Brooklyn Branch", "type": "branch",
+ *     "address": ["456 Atlantic Avenue", "Brooklyn, NY 11217"],
+ *     "lat": 40.6862, "lng": -73.9776,
+ *     "phone": "+11234567891", "phoneLabel": "(123) 456-7891",
+ *     "hours": "Mon–Fri 8am–5pm" }
+ * Locations without `hours` use the opening hours from businessHours.
+ *
+ * Optional companions:
+ * - [data-map-locations]  list that is filled with the locations and kept
+ *                         in sync with the selected marker
+ * - [data-map-nearest]    button that finds the nearest branch using the
+ *                         browser's geolocation
+ *
+ * Tiles come from FriendlyFixConfig.mapTiles (see DEFAULT_TILES): any URL
+ * template works, including a local directory such as
+ * 'assets/tiles/{z}/{x}/{y}.png'. Set `url: null` to use only the static
+ * `fallbackImage`, which is also shown when the tile server can't be
+ * reached. Without Leaflet, #map shows an address card with a directions
+ * link instead.
+ *
+ * Labels and messages follow the site's language switcher when main.js is
+ * loaded; location names and addresses are shown as given.
+ *
+ * @version 1.2.0
  */
 
 (function() {
   'use strict';
 
+  const CLUSTER_RADIUS = 48;   // Markers closer than this (in pixels) are grouped
+  const TILE_ERROR_LIMIT = 4;  // Failed tiles (with none loaded) before giving up on the server
+
+  const DEFAULT_TILES = {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19,
+    fallbackImage: null        // { url, bounds: [[south, west], [north, east]], alt }
+  };
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'map.address': 'Address:',
+    'map.phone': 'Phone:',
+    'map.hours': 'Hours:',
+    'map.directions': 'Get Directions',
+    'map.cluster': '{count} locations — zoom in',
+    'map.locating': 'Finding your location…',
+    'map.distance': '· {distance} mi away',
+    'map.nearest': 'Your nearest branch is {name}, {distance} miles away.',
+    'map.blocked': 'Location access was blocked. Allow it in your browser to find your nearest branch.',
+    'map.locateFailed': 'We couldn\'t find your location. Please check the list below.',
+    'map.unavailable': 'The map is unavailable right now. Please use the contact details on this page.'
+  };
+
+  const state = {
+    map: null,
+    locations: [],
+    entries: [],               // [{ location, latlng, marker }]
+    clusterLayer: null,
+    activeId: null,
+    ranked: [],                // [{ location, distance }] from the last findNearest()
+    status: null               // { key, closest } of the nearest-branch message
+  };
+
+  let readyResolve;
+  const ready = new Promise(resolve => { readyResolve = resolve; });
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+  }
+
   /**
-   * Initialize the interactive map
-   * Creates a Leaflet map with markers and custom styling
+   * Message in the chosen language; English when main.js isn't loaded
    */
-  function initMap() {
-    const mapContainer = document.getElementById('map');
-    if (!mapContainer) return;
+  function t(key, vars = {}) {
+    const i18n = window.FriendlyFix && window.FriendlyFix.i18n;
+    if (i18n) {
+      i18n.addMessages(MESSAGES); // Keeps existing keys, so repeating it is harmless
+      return i18n.t(key, vars);
+    }
+    return MESSAGES[key].replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] !== undefined ? vars[name] : placeholder));
+  }
 
-    // Business location coordinates (example: New York City)
-    const businessLocation = [40.7128, -74.0060];
-    
-    // Initialize map
-    const map = L.map('map', {
-      center: businessLocation,
-      zoom: 13,
-      zoomControl: true,
-      scrollWheelZoom: false // Prevent accidental scrolling
-    });
+  /**
+   * Distance in miles with one decimal, in the chosen language
+   */
+  function formatMiles(distance) {
+    const i18n = window.FriendlyFix && window.FriendlyFix.i18n;
+    return distance.toLocaleString(i18n ? i18n.language : 'en', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  }
 
-    // Add tile layer (OpenStreetMap)
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-      maxZoom: 19
-    }).addTo(map);
+  /**
+   * Report an event through the FriendlyFix event bus (main.js), or as a
+   * plain bubbling DOM event when main.js isn't on the page
+   */
+  function emit(target, type, detail) {
+    if (window.FriendlyFix && window.FriendlyFix.emit) {
+      window.FriendlyFix.emit(target, type, detail);
+    } else {
+      target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    }
+  }
+
+  // ==========================================================================
+  // LOCATIONS
+  // ==========================================================================
+
+  // Shared config from main.js; empty when the map is used on its own
+  function config() {
+    return (window.FriendlyFix && window.FriendlyFix.config) || {};
+  }
+
+  /**
+   * Load locations from the config or from the data-locations file
+   * @param {HTMLElement} mapContainer
+   * @returns {Promise<Object[]>}
+   */
+  async function loadLocations(mapContainer) {
+    const configured = config().locations;
+    if (Array.isArray(configured)) return configured;
+
+    const url = mapContainer.getAttribute('data-locations') || 'assets/data/locations.json';
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Locations request failed (${response.status})`);
+    const data = await response.json();
+    return data.locations || [];
+  }
+
+  /**
+   * Opening hours text for a location
+   */
+  function hoursFor(location) {
+    if (location.hours) return location.hours;
+    // Opening hours come from the shared config when booking.js is loaded
+    return window.FriendlyFix && window.FriendlyFix.booking
+      ? window.FriendlyFix.booking.describeHours()
+      : 'Mon–Sat 8am–6pm';
+  }
+
+  function tileConfig() {
+    return Object.assign({}, DEFAULT_TILES, config().mapTiles || {});
+  }
 
-    // Custom marker icon
-    const customIcon = L.divIcon({
+  function directionsUrl(location) {
+    return `https://maps.google.com/?q=${location.lat},${location.lng}`;
+  }
+
+  /**
+   * Great-circle distance in miles
+   */
+  function distanceMiles(lat1, lng1, lat2, lng2) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Branches sorted by distance from a point (depots are not listed)
+   * @returns {Array<{ location: Object, distance: number }>}
+   */
+  function nearest(lat, lng) {
+    return state.locations
+      .filter(location => (location.type || 'branch') === 'branch')
+      .map(location => ({ location, distance: distanceMiles(lat, lng, location.lat, location.lng) }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  // ==========================================================================
+  // MARKERS
+  // ==========================================================================
+
+  /**
+   * Custom marker icon (depots get a modifier class)
+   */
+  function markerIcon(location) {
+    return L.divIcon({
       className: 'custom-map-marker',
       html: `
-        <div class="marker-pin">
+        <div class="marker-pin${location.type === 'depot' ? ' marker-pin--depot' : ''}">
           <div class="marker-icon">
             <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
@@ -50,35 +200,361 @@
       iconAnchor: [20, 40],
       popupAnchor: [0, -40]
     });
+  }
 
-    // Add marker for business location
-    const marker = L.marker(businessLocation, { icon: customIcon }).addTo(map);
+  function clusterIcon(count) {
+    return L.divIcon({
+      className: 'map-cluster',
+      html: `<span>${count}</span>`,
+      iconSize: [44, 44],
+      iconAnchor: [22, 22]
+    });
+  }
 
-    // Add popup with business information
-    const popupContent = `
+  /**
+   * Popup with the location's details
+   */
+  function popupContent(location) {
+    const address = [].concat(location.address || []).map(escapeHtml).join('<br>');
+    return `
       <div class="map-popup">
-        <h3>Friendly Fix Plumbing</h3>
-        <p><strong>Address:</strong> 123 Main Street<br>New York, NY 10001</p>
-        <p><strong>Phone:</strong> <a href="tel:+11234567890">(123) 456-7890</a></p>
-        <p><strong>Hours:</strong> Mon-Sat 8am-6pm</p>
-        <a href="https://maps.google.com/?q=40.7128,-74.0060" target="_blank" class="btn btn-sm">Get Directions</a>
+        <h3>${escapeHtml(location.name)}</h3>
+        ${address ? `<p><strong>${escapeHtml(t('map.address'))}</strong> ${address}</p>` : ''}
+        ${location.phone ? `<p><strong>${escapeHtml(t('map.phone'))}</strong> <a href="tel:${escapeHtml(location.phone)}">${escapeHtml(location.phoneLabel || location.phone)}</a></p>` : ''}
+        <p><strong>${escapeHtml(t('map.hours'))}</strong> ${escapeHtml(hoursFor(location))}</p>
+        <a href="${directionsUrl(location)}" target="_blank" rel="noopener" class="btn btn-sm">${escapeHtml(t('map.directions'))}</a>
       </div>
     `;
-    
-    marker.bindPopup(popupContent, {
-      maxWidth: 300,
-      className: 'custom-popup'
+  }
+
+  /**
+   * Group markers that would overlap at the current zoom. A cluster shows
+   * how many locations it holds and zooms in on them when clicked.
+   */
+  function renderClusters() {
+    const map = state.map;
+    const zoom = map.getZoom();
+    const groups = [];
+
+    state.entries.forEach(entry => {
+      const point = map.project(entry.latlng, zoom);
+      const group = groups.find(g => g.point.distanceTo(point) < CLUSTER_RADIUS);
+      if (group) {
+        group.entries.push(entry);
+      } else {
+        groups.push({ point, entries: [entry] });
+      }
+    });
+
+    state.clusterLayer.clearLayers();
+    groups.forEach(group => {
+      if (group.entries.length === 1 || zoom >= map.getMaxZoom()) {
+        group.entries.forEach(entry => state.clusterLayer.addLayer(entry.marker));
+        return;
+      }
+
+      const bounds = L.latLngBounds(group.entries.map(entry => entry.latlng));
+      const count = group.entries.length;
+      const cluster = L.marker(bounds.getCenter(), {
+        icon: clusterIcon(count),
+        title: t('map.cluster', { count })
+      });
+      cluster.on('click', () => map.fitBounds(bounds.pad(0.5)));
+      state.clusterLayer.addLayer(cluster);
+    });
+  }
+
+  // ==========================================================================
+  // SIDEBAR
+  // ==========================================================================
+
+  function renderList() {
+    document.querySelectorAll('[data-map-locations]').forEach(list => {
+      list.innerHTML = state.locations.map(location => `
+        <li class="map-location${location.id === state.activeId ? ' is-active' : ''}" data-location="${escapeHtml(location.id)}">
+          <button type="button" class="map-location-select" aria-controls="map"${location.id === state.activeId ? ' aria-current="true"' : ''}>
+            <strong>${escapeHtml(location.name)}</strong>
+            <span class="map-location-address">${[].concat(location.address || []).map(escapeHtml).join(', ')}</span>
+          </button>
+          <p class="map-location-meta">
+            ${location.phone ? `<a href="tel:${escapeHtml(location.phone)}">${escapeHtml(location.phoneLabel || location.phone)}</a> · ` : ''}${escapeHtml(hoursFor(location))}
+            <span class="map-location-distance"></span>
+          </p>
+        </li>`).join('');
     });
+    showDistances();
+  }
 
-    // Optional: Add service area circle
-    const serviceArea = L.circle(businessLocation, {
-      color: '#2563eb',
-      fillColor: '#3b82f6',
-      fillOpacity: 0.1,
-      radius: 8000 // 8km radius
+  /**
+   * Distance from the visitor to each location, once findNearest() has run
+   */
+  function showDistances() {
+    state.ranked.forEach(({ location, distance }) => {
+      document.querySelectorAll(`.map-location[data-location="${location.id}"] .map-location-distance`).forEach(el => {
+        el.textContent = t('map.distance', { distance: formatMiles(distance) });
+      });
+    });
+  }
+
+  /**
+   * Highlight a location in the sidebar
+   */
+  function setActive(id) {
+    state.activeId = id;
+    document.querySelectorAll('.map-location').forEach(item => {
+      const active = item.dataset.location === id;
+      item.classList.toggle('is-active', active);
+      const button = item.querySelector('.map-location-select');
+      if (active) {
+        button.setAttribute('aria-current', 'true');
+        item.scrollIntoView({ block: 'nearest' });
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Centre the map on a location and open its popup
+   * (or show its address card when there is no map)
+   * @param {string} id - Location id
+   */
+  function select(id) {
+    if (!state.map) {
+      const location = state.locations.find(l => l.id === id);
+      if (location) {
+        const changed = state.activeId !== id;
+        renderStaticCard(location);
+        if (changed) emit(document.getElementById('map'), 'map:select', { location });
+      }
+      return;
+    }
+
+    const entry = state.entries.find(e => e.location.id === id);
+    if (!entry) return;
+
+    // Zoom far enough that the marker is out of any cluster
+    state.map.setView(entry.latlng, Math.max(state.map.getZoom(), 14), { animate: false });
+    renderClusters();
+    entry.marker.openPopup();
+    setActive(id);
+  }
+
+  // ==========================================================================
+  // NEAREST BRANCH
+  // ==========================================================================
+
+  function getPosition() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error('Geolocation is not supported'));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 10000, maximumAge: 300000 });
+    });
+  }
+
+  /**
+   * Find the branch nearest to the visitor, show distances in the sidebar
+   * and select it on the map
+   * @returns {Promise<Object|null>} { location, distance } or null
+   */
+  async function findNearest() {
+    const say = (key, closest) => {
+      state.status = key ? { key, closest } : null;
+      showStatus();
+    };
+
+    say('map.locating');
+    try {
+      const position = await getPosition();
+      await ready;
+      const ranked = nearest(position.coords.latitude, position.coords.longitude);
+      if (!ranked.length) {
+        say(null);
+        return null;
+      }
+
+      state.ranked = ranked;
+      showDistances();
+
+      const closest = ranked[0];
+      say('map.nearest', closest);
+      emit(document.getElementById('map'), 'map:nearest', closest);
+      select(closest.location.id);
+      return closest;
+    } catch (error) {
+      // PositionError code 1 = permission denied
+      say(error.code === 1 ? 'map.blocked' : 'map.locateFailed');
+      return null;
+    }
+  }
+
+  function showStatus() {
+    const status = document.querySelector('.map-nearest-status');
+    if (!status) return;
+    const message = state.status;
+    if (!message) {
+      status.textContent = '';
+      return;
+    }
+    const closest = message.closest;
+    status.textContent = t(message.key, closest
+      ? { name: closest.location.name, distance: formatMiles(closest.distance) }
+      : {});
+  }
+
+  // ==========================================================================
+  // TILES & FALLBACKS
+  // ==========================================================================
+
+  /**
+   * Add the configured tile layer. If the server fails before any tile has
+   * loaded, swap to the static fallback image (or a plain background).
+   * @param {Object} map - Leaflet map
+   * @param {Object} tiles - Tile settings
+   */
+  function addTiles(map, tiles) {
+    const useFallback = () => {
+      map.getContainer().classList.add('map-tiles-unavailable');
+      emit(map.getContainer(), 'map:fallback', { reason: 'tiles', image: tiles.fallbackImage });
+      const image = tiles.fallbackImage;
+      if (!image) return;
+
+      const bounds = image.bounds ||
+        L.latLngBounds(state.entries.map(entry => entry.latlng)).pad(0.5);
+      L.imageOverlay(image.url, bounds, { alt: image.alt || '', attribution: image.attribution }).addTo(map);
+    };
+
+    if (!tiles.url) {
+      useFallback();
+      return;
+    }
+
+    const layer = L.tileLayer(tiles.url, {
+      attribution: tiles.attribution,
+      maxZoom: tiles.maxZoom
     }).addTo(map);
 
-    serviceArea.bindPopup('Our Service Area');
+    let loaded = 0;
+    let failed = 0;
+    layer.on('tileload', () => { loaded++; });
+    layer.on('tileerror', () => {
+      failed++;
+      if (loaded === 0 && failed === TILE_ERROR_LIMIT) {
+        console.warn('Map tiles could not be loaded from', tiles.url);
+        map.removeLayer(layer);
+        useFallback();
+      }
+    });
+  }
+
+  /**
+   * Replace the map with an address card when Leaflet is unavailable
+   * @param {Object} location - Location to describe
+   */
+  function renderStaticCard(location) {
+    const container = document.getElementById('map');
+    const image = tileConfig().fallbackImage;
+
+    container.classList.add('map-static');
+    container.innerHTML = location ? `
+      ${image ? `<img class="map-static-image" src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt || '')}">` : ''}
+      <div class="map-static-card">${popupContent(location)}</div>
+    ` : `
+      <div class="map-static-card">
+        <p>${escapeHtml(t('map.unavailable'))}</p>
+      </div>
+    `;
+
+    if (location) setActive(location.id);
+  }
+
+  // ==========================================================================
+  // MAP
+  // ==========================================================================
+
+  /**
+   * Initialize the interactive map
+   * Creates a Leaflet map with one marker per location and custom styling
+   */
+  async function initMap() {
+    const mapContainer = document.getElementById('map');
+    if (!mapContainer) return;
+
+    document.querySelectorAll('[data-map-nearest]').forEach(button => {
+      button.addEventListener('click', findNearest);
+    });
+
+    document.addEventListener('click', event => {
+      const button = event.target.closest('.map-location-select');
+      if (button) select(button.closest('.map-location').dataset.location);
+    });
+
+    document.addEventListener('language:change', refreshLanguage);
+
+    try {
+      state.locations = await loadLocations(mapContainer);
+    } catch (error) {
+      console.error('Map locations could not be loaded:', error);
+    }
+    renderList();
+    readyResolve(state.locations);
+
+    const primary = state.locations.find(location => location.primary) || state.locations[0];
+    const center = primary ? [primary.lat, primary.lng] : [40.7128, -74.0060];
+
+    // Leaflet comes from a CDN; without it, show where we are instead
+    if (!window.L) {
+      console.warn('Leaflet is not available; showing an address card instead of the map.');
+      renderStaticCard(primary);
+      emit(mapContainer, 'map:fallback', { reason: 'leaflet', location: primary || null });
+      return;
+    }
+
+    const tiles = tileConfig();
+
+    // Initialize map
+    const map = L.map('map', {
+      center,
+      zoom: 13,
+      maxZoom: tiles.maxZoom,
+      zoomControl: true,
+      scrollWheelZoom: false // Prevent accidental scrolling
+    });
+    state.map = map;
+
+    // One marker per location, grouped into clusters when zoomed out
+    state.entries = state.locations.map(location => {
+      const latlng = L.latLng(location.lat, location.lng);
+      const marker = L.marker(latlng, { icon: markerIcon(location), title: location.name });
+      marker.bindPopup(popupContent(location), {
+        maxWidth: 300,
+        className: 'custom-popup'
+      });
+      marker.on('popupopen', () => {
+        if (state.activeId === location.id) return;
+        setActive(location.id);
+        emit(mapContainer, 'map:select', { location });
+      });
+      return { location, latlng, marker };
+    });
+
+    // Add tile layer (OpenStreetMap unless configured otherwise)
+    addTiles(map, tiles);
+
+    state.clusterLayer = L.layerGroup().addTo(map);
+    map.on('zoomend', renderClusters);
+
+    if (state.entries.length > 1) {
+      map.fitBounds(L.latLngBounds(state.entries.map(entry => entry.latlng)).pad(0.1));
+    }
+    renderClusters();
+
+    // Service zones and the click-to-check feature (service-area.js)
+    if (window.FriendlyFix && window.FriendlyFix.serviceArea) {
+      window.FriendlyFix.serviceArea.attachMap(map);
+    }
 
     // Enable scroll zoom when map is clicked
     map.on('click', function() {
@@ -91,6 +567,23 @@
 
     // Expose map instance for external use
     window.plumbingMap = map;
+    emit(mapContainer, 'map:ready', { map, locations: state.locations });
+  }
+
+  /**
+   * Redo the labels and messages after the language changes
+   */
+  function refreshLanguage() {
+    renderList();
+    showStatus();
+
+    const container = document.getElementById('map');
+    if (state.map) {
+      state.entries.forEach(entry => entry.marker.setPopupContent(popupContent(entry.location)));
+      renderClusters();
+    } else if (container && container.classList.contains('map-static')) {
+      renderStaticCard(state.locations.find(location => location.id === state.activeId));
+    }
   }
 
   // Initialize when DOM is ready
@@ -100,4 +593,14 @@
     initMap();
   }
 
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.map = {
+    ready,                                   // Resolves with the locations once loaded
+    get locations() { return state.locations; },
+    select,                                  // Open a location by id
+    nearest,                                 // (lat, lng) → branches sorted by distance
+    findNearest                              // Use geolocation to select the nearest branch
+  };
+
 })();
@@ -0,0 +1,232 @@
+/**
+ * Local Mock API for Friendly Fix Plumbing
+ * Answers the site's API requests in the browser so forms can be tested
+ * without a backend. Only active when served from localhost or opened from
+ * disk, or when a page sets `FriendlyFixConfig.mockApi = true` (e.g. a
+ * staging copy). A URL parameter alone never turns it on, so links to the
+ * live site can't swallow real requests.
+ *
+ * Scenarios (append to the page URL while the mock is active):
+ * - ?mock=error    Every request fails with a 500 response
+ * - ?mock=offline  Every request fails as if the network were down
+ * - ?mock=off      Disable the mock entirely
+ *
+ * navigator.sendBeacon is routed through the same handlers, so analytics
+ * batches can be checked with FriendlyFixMock.analytics().
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const params = new URLSearchParams(window.location.search);
+  const scenario = params.get('mock');
+  const isLocal = window.location.protocol === 'file:' ||
+    ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+
+  const enabled = (window.FriendlyFixConfig || {}).mockApi === true;
+
+  if (scenario === 'off' || !(isLocal || enabled)) return;
+
+  const realFetch = window.fetch ? window.fetch.bind(window) : null;
+  const routes = [];
+  const requests = [];   // Log of handled requests, handy in the console
+
+  /**
+   * Register a mock route
+   * @param {string} method - HTTP method (GET, POST, ...)
+   * @param {string} path - Path suffix to match, e.g. 'api/contact'
+   * @param {Function} handler - (body, url) => { status, body }
+   */
+  function route(method, path, handler) {
+    routes.push({ method: method.toUpperCase(), path, handler });
+  }
+
+  function findRoute(method, url) {
+    const pathname = new URL(url, window.location.href).pathname;
+    return routes.find(r => r.method === method && pathname.endsWith('/' + r.path));
+  }
+
+  function parseBody(body) {
+    if (typeof body !== 'string') return body || null;
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+
+  function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * fetch replacement: handle registered routes, pass everything else through
+   */
+  window.fetch = function(input, options = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+    const method = (options.method || (input && input.method) || 'GET').toUpperCase();
+    const match = findRoute(method, url);
+
+    if (!match) {
+      return realFetch ? realFetch(input, options) : Promise.reject(new TypeError('Failed to fetch'));
+    }
+
+    const body = parseBody(options.body);
+    requests.push({ method, url, body, at: new Date().toISOString() });
+
+    if (scenario === 'offline') {
+      return Promise.reject(new TypeError('Failed to fetch (mock offline)'));
+    }
+
+    // Simulate network latency so loading states are visible
+    return new Promise(resolve => {
+      setTimeout(() => {
+        if (scenario === 'error') {
+          resolve(jsonResponse(500, { message: 'The server had a problem handling your request (mock error). Please try again.' }));
+          return;
+        }
+        const result = match.handler(body, url);
+        console.info(`[mock-api] ${method} ${url} → ${result.status}`, body);
+        resolve(jsonResponse(result.status, result.body));
+      }, 600);
+    });
+  };
+
+  /**
+   * sendBeacon replacement: registered routes get the beacon body, other
+   * URLs go to the real sendBeacon. Beacons have no response, so the
+   * handler's result is only logged.
+   */
+  const realSendBeacon = navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null;
+
+  navigator.sendBeacon = function(url, data) {
+    const match = findRoute('POST', url);
+    if (!match) return realSendBeacon ? realSendBeacon(url, data) : false;
+    if (scenario === 'offline' || scenario === 'error') return true; // Sent, then lost
+
+    Promise.resolve(data && typeof data.text === 'function' ? data.text() : data).then(text => {
+      const body = parseBody(text);
+      requests.push({ method: 'BEACON', url, body, at: new Date().toISOString() });
+      const result = match.handler(body, url);
+      console.info(`[mock-api] BEACON ${url} → ${result.status}`, body);
+    });
+    return true;
+  };
+
+  // ==========================================================================
+  // ROUTES
+  // ==========================================================================
+
+  // Appointments booked through the contact form, kept for this session
+  const BOOKINGS_KEY = 'friendlyfix-mock-bookings';
+
+  function readBookings() {
+    try {
+      return JSON.parse(sessionStorage.getItem(BOOKINGS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Stable pseudo-random "already booked" slots so the calendar looks busy
+   * in a repeatable way: a slot is taken when a hash of it is divisible by 3
+   */
+  function isPrebooked(date, time) {
+    let hash = 0;
+    for (const char of date + time) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return Math.abs(hash) % 3 === 0;
+  }
+
+  // Booked appointment slots between ?from= and ?to= (YYYY-MM-DD)
+  route('GET', 'api/availability', (body, url) => {
+    const params = new URL(url, window.location.href).searchParams;
+    const from = params.get('from');
+    const to = params.get('to');
+    if (!from || !to) {
+      return { status: 400, body: { message: 'from and to are required.' } };
+    }
+
+    // Slots follow FriendlyFixConfig.businessHours through booking.js,
+    // the only page script that asks for availability
+    const booking = window.FriendlyFix && window.FriendlyFix.booking;
+    const stored = readBookings();
+    const booked = {};
+    for (let day = new Date(from + 'T00:00:00Z'); booking && day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+      const date = day.toISOString().slice(0, 10);
+      const times = booking.slotsFor(date)
+        .filter(time => isPrebooked(date, time) || (stored[date] || []).includes(time));
+      if (times.length) booked[date] = times;
+    }
+    return { status: 200, body: { booked, closed: [] } };
+  });
+
+  // Contact form submissions
+  route('POST', 'api/contact', body => {
+    const missing = ['name', 'email', 'message'].filter(field => !body || !body[field]);
+    if (missing.length > 0) {
+      return {
+        status: 422,
+        body: { message: `Please fill in: ${missing.join(', ')}.`, fields: missing }
+      };
+    }
+
+    // Reserve the appointment slot, if one was chosen
+    if (body.appointment) {
+      const [date, time] = body.appointment.split('T');
+      const bookings = readBookings();
+      if (isPrebooked(date, time) || (bookings[date] || []).includes(time)) {
+        return { status: 409, body: { message: 'Sorry, that time was just booked. Please pick another slot.' } };
+      }
+      bookings[date] = (bookings[date] || []).concat(time);
+      sessionStorage.setItem(BOOKINGS_KEY, JSON.stringify(bookings));
+    }
+
+    return {
+      status: 201,
+      body: { ok: true, id: 'msg-' + Date.now() }
+    };
+  });
+
+  // Quote wizard requests
+  route('POST', 'api/quote', body => {
+    if (!body || !body.service || !body.contact || !body.contact.email) {
+      return { status: 422, body: { message: 'A service and an email address are required for a quote.' } };
+    }
+    return {
+      status: 201,
+      body: { ok: true, reference: 'Q-' + Math.floor(100000 + Math.random() * 900000) }
+    };
+  });
+
+  // Analytics batches (analytics.js), kept for this session so they can be
+  // inspected with FriendlyFixMock.analytics()
+  const ANALYTICS_KEY = 'friendlyfix-mock-analytics';
+
+  function readAnalytics() {
+    try {
+      return JSON.parse(sessionStorage.getItem(ANALYTICS_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  route('POST', 'api/analytics', body => {
+    if (!body || !Array.isArray(body.events)) {
+      return { status: 400, body: { message: 'events must be an array.' } };
+    }
+    sessionStorage.setItem(ANALYTICS_KEY, JSON.stringify(readAnalytics().concat(body.events)));
+    return { status: 202, body: { ok: true, received: body.events.length } };
+  });
+
+  // Expose for tests and for other scripts to add routes
+  window.FriendlyFixMock = { route, requests, analytics: readAnalytics };
+
+  console.info('[mock-api] Mock API active' + (scenario ? ` (scenario: ${scenario})` : ''));
+
+})();
@@ -0,0 +1,348 @@
+/**
+ * Performance Monitoring for Friendly Fix Plumbing
+ * Measures Core Web Vitals and a few supporting numbers with
+ * PerformanceObserver:
+ * - LCP  Largest Contentful Paint (ms)
+ * - CLS  Cumulative Layout Shift (largest 5 s session window)
+ * - INP  Interaction to Next Paint (ms, roughly the 98th percentile)
+ * - Long tasks: count, total blocking time and the longest task
+ * - Resource timing for the hero images (FriendlyFixConfig.heroImages)
+ * - TTFB and load time from navigation timing
+ *
+ * On localhost (or opened from disk) metrics are logged to the console as
+ * they change. Elsewhere a report is sent with navigator.sendBeacon to
+ * FriendlyFixConfig.vitalsEndpoint when the page is hidden; when
+ * analytics.js is on the page, only after the visitor accepted analytics.
+ *
+ * Add ?vitals to the URL to show a live overlay with the numbers.
+ *
+ * Requires main.js.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const params = new URLSearchParams(window.location.search);
+  const isLocal = window.location.protocol === 'file:' ||
+    ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+
+  // "Good" and "poor" limits from web.dev; in between needs improvement
+  const THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800]
+  };
+
+  const state = {
+    metrics: {},           // name → { name, value, rating }
+    longTasks: { count: 0, blockingTime: 0, longest: 0 },
+    heroImages: [],        // Resource timings for matching images
+    interactions: new Map(), // interactionId → longest event duration
+    cls: { value: 0, session: 0, first: 0, last: 0 },
+    changed: false,        // Something new since the last report
+    overlay: null
+  };
+
+  function config() {
+    return (window.FriendlyFix && window.FriendlyFix.config) || {};
+  }
+
+  function rate(name, value) {
+    const limits = THRESHOLDS[name];
+    if (!limits) return null;
+    return value <= limits[0] ? 'good' : value <= limits[1] ? 'needs-improvement' : 'poor';
+  }
+
+  function format(name, value) {
+    return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`;
+  }
+
+  /**
+   * Store a metric, log it in dev mode, update the overlay and emit
+   * vitals:metric
+   */
+  function record(name, value, extra = {}) {
+    const metric = Object.assign({ name, value, rating: rate(name, value) }, extra);
+    const previous = state.metrics[name];
+    if (previous && previous.value === value) return;
+
+    state.metrics[name] = metric;
+    state.changed = true;
+
+    if (isLocal) console.info(`[vitals] ${name} ${format(name, value)}${metric.rating ? ` (${metric.rating})` : ''}`, extra);
+    if (window.FriendlyFix && window.FriendlyFix.emit) window.FriendlyFix.emit(document, 'vitals:metric', metric);
+    renderOverlay();
+  }
+
+  /**
+   * Observe one entry type if the browser supports it
+   */
+  function observe(type, callback, options = {}) {
+    const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+    if (!supported || !supported.includes(type)) return false;
+
+    try {
+      new PerformanceObserver(list => callback(list.getEntries()))
+        .observe(Object.assign({ type, buffered: true }, options));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Short description of the element behind an entry, e.g. "img.hero-image"
+   */
+  function describe(element) {
+    if (!element || !element.tagName) return null;
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? '.' + element.className.trim().split(/\s+/).join('.')
+      : '';
+    return element.tagName.toLowerCase() + (element.id ? '#' + element.id : '') + classes;
+  }
+
+  // ==========================================================================
+  // METRICS
+  // ==========================================================================
+
+  function observeLcp() {
+    observe('largest-contentful-paint', entries => {
+      const entry = entries[entries.length - 1];
+      record('LCP', entry.startTime, { element: describe(entry.element), url: entry.url || null });
+    });
+  }
+
+  /**
+   * Layout shifts are grouped into session windows (gaps under 1 s, at most
+   * 5 s long); CLS is the largest window. Shifts right after input don't count.
+   */
+  function observeCls() {
+    const cls = state.cls;
+    observe('layout-shift', entries => {
+      entries.forEach(entry => {
+        if (entry.hadRecentInput) return;
+        if (cls.session && entry.startTime - cls.last < 1000 && entry.startTime - cls.first < 5000) {
+          cls.session += entry.value;
+        } else {
+          cls.session = entry.value;
+          cls.first = entry.startTime;
+        }
+        cls.last = entry.startTime;
+        cls.value = Math.max(cls.value, cls.session);
+      });
+      record('CLS', cls.value);
+    });
+  }
+
+  /**
+   * INP: the slowest interaction, skipping one outlier for every 50
+   * interactions on busy pages
+   */
+  function observeInp() {
+    const onEntries = entries => {
+      entries.forEach(entry => {
+        if (!entry.interactionId) return;
+        const longest = state.interactions.get(entry.interactionId) || 0;
+        state.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+      });
+      if (!state.interactions.size) return;
+
+      const durations = Array.from(state.interactions.values()).sort((a, b) => b - a);
+      const index = Math.min(Math.floor(durations.length / 50), durations.length - 1);
+      record('INP', durations[index], { interactions: durations.length });
+    };
+
+    observe('event', onEntries, { durationThreshold: 40 });
+    observe('first-input', onEntries);
+  }
+
+  function observeLongTasks() {
+    const tasks = state.longTasks;
+    observe('longtask', entries => {
+      entries.forEach(entry => {
+        tasks.count++;
+        tasks.blockingTime += Math.max(0, entry.duration - 50);
+        tasks.longest = Math.max(tasks.longest, entry.duration);
+      });
+      record('TBT', tasks.blockingTime, { count: tasks.count, longest: Math.round(tasks.longest) });
+    });
+  }
+
+  /**
+   * Download timing for images whose URL contains one of the hero patterns
+   */
+  function observeHeroImages() {
+    const patterns = config().heroImages || [];
+    if (!patterns.length) return;
+
+    observe('resource', entries => {
+      entries.forEach(entry => {
+        if (entry.initiatorType !== 'img' && entry.initiatorType !== 'css') return;
+        if (!patterns.some(pattern => entry.name.includes(pattern))) return;
+
+        const timing = {
+          url: entry.name,
+          start: Math.round(entry.startTime),
+          duration: Math.round(entry.duration),
+          transferSize: entry.transferSize || 0,   // 0 when cached or cross-origin
+          decodedSize: entry.decodedBodySize || 0
+        };
+        state.heroImages.push(timing);
+        state.changed = true;
+        if (isLocal) console.info(`[vitals] Hero image ${timing.url} loaded in ${timing.duration} ms`, timing);
+        renderOverlay();
+      });
+    });
+  }
+
+  function recordNavigation() {
+    const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+    if (!navigation) return;
+
+    if (navigation.responseStart > 0) record('TTFB', navigation.responseStart);
+    const measureLoad = () => {
+      if (navigation.loadEventEnd) record('Load', navigation.loadEventEnd);
+    };
+    if (document.readyState === 'complete') {
+      setTimeout(measureLoad, 0); // loadEventEnd is set once the load handlers finish
+    } else {
+      window.addEventListener('load', () => setTimeout(measureLoad, 0));
+    }
+  }
+
+  // ==========================================================================
+  // REPORTING
+  // ==========================================================================
+
+  /**
+   * Current numbers, as sent to the endpoint
+   * @returns {Object}
+   */
+  function snapshot() {
+    const metrics = {};
+    Object.keys(state.metrics).forEach(name => {
+      const { value, rating } = state.metrics[name];
+      metrics[name] = { value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value), rating };
+    });
+    return {
+      path: window.location.pathname,
+      at: new Date().toISOString(),
+      connection: navigator.connection ? navigator.connection.effectiveType : null,
+      metrics,
+      longTasks: Object.assign({}, state.longTasks, { longest: Math.round(state.longTasks.longest) }),
+      heroImages: state.heroImages.slice()
+    };
+  }
+
+  /**
+   * Send a report to the endpoint (production only)
+   * Skipped when nothing changed since the last report, or when analytics.js
+   * is present and the visitor hasn't accepted analytics
+   * @returns {boolean} Whether a report was sent
+   */
+  function report() {
+    const endpoint = config().vitalsEndpoint;
+    const analytics = window.FriendlyFix && window.FriendlyFix.analytics;
+    if (isLocal || !endpoint || !state.changed) return false;
+    if (analytics && analytics.consent !== 'granted') return false;
+
+    const body = JSON.stringify(snapshot());
+    state.changed = false;
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+      return true;
+    }
+    if (window.fetch) {
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+    }
+    return true;
+  }
+
+  // ==========================================================================
+  // DEBUG OVERLAY
+  // ==========================================================================
+
+  function showOverlay() {
+    if (!state.overlay) {
+      state.overlay = document.createElement('aside');
+      state.overlay.className = 'vitals-overlay';
+      state.overlay.setAttribute('aria-label', 'Performance metrics');
+      state.overlay.addEventListener('click', e => {
+        if (e.target.closest('.vitals-overlay-close')) state.overlay.hidden = true;
+      });
+      document.body.appendChild(state.overlay);
+    }
+    state.overlay.hidden = false;
+    renderOverlay();
+  }
+
+  function renderOverlay() {
+    const overlay = state.overlay;
+    if (!overlay || overlay.hidden) return;
+
+    const rows = ['LCP', 'CLS', 'INP', 'TTFB', 'Load', 'TBT'].map(name => {
+      const metric = state.metrics[name];
+      return `
+        <tr class="${metric && metric.rating ? 'vitals-' + metric.rating : ''}">
+          <th scope="row">${name}</th>
+          <td>${metric ? format(name, metric.value) : '—'}</td>
+        </tr>`;
+    }).join('');
+
+    const heroes = state.heroImages.map(image => `
+      <li>${image.url.split('/').pop()}: ${image.duration} ms${image.transferSize ? `, ${Math.round(image.transferSize / 1024)} KB` : ''}</li>`).join('');
+
+    overlay.innerHTML = `
+      <div class="vitals-overlay-header">
+        <strong>Web Vitals</strong>
+        <button type="button" class="vitals-overlay-close" aria-label="Close performance metrics">&times;</button>
+      </div>
+      ${window.PerformanceObserver ? '' : '<p>This browser doesn\'t support PerformanceObserver.</p>'}
+      <table>${rows}</table>
+      <p>Long tasks: ${state.longTasks.count}${state.longTasks.count ? ` (longest ${Math.round(state.longTasks.longest)} ms)` : ''}</p>
+      ${heroes ? `<ul class="vitals-overlay-images">${heroes}</ul>` : ''}`;
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  function initPerformance() {
+    observeLcp();
+    observeCls();
+    observeInp();
+    observeLongTasks();
+    observeHeroImages();
+    recordNavigation();
+
+    if (params.has('vitals')) showOverlay();
+
+    // Final values are known when the visitor leaves or switches tabs
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') report();
+    });
+    window.addEventListener('pagehide', report);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPerformance);
+  } else {
+    initPerformance();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.performance = {
+    get metrics() { return snapshot(); },   // Current numbers
+    report,                                  // Send a report now (production)
+    showOverlay                              // Same as adding ?vitals to the URL
+  };
+
+})();
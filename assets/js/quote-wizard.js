@@ -0,0 +1,726 @@
+/**
+ * Quote Request Wizard for Friendly Fix Plumbing
+ * A multi-step quote form shown in a modal. Any element with
+ * `data-modal-target="#quote-wizard"` opens it; add `data-quote-service`
+ * (leak, drain, heater, fixture, emergency, other) to preselect a service.
+ * Scripts can open it with FriendlyFix.openModal('quote-wizard').
+ *
+ * Steps: service → job details (questions depend on the service) →
+ * contact details → review. Progress is kept in sessionStorage so the
+ * wizard can be closed and resumed, and the result is sent as a
+ * structured payload through FriendlyFix.sendSubmission.
+ *
+ * Text follows the site's language switcher. Question and answer keys are
+ * derived from the English below (`quote.<service>.<name>`,
+ * `quote.option.<camelCasedAnswer>`); answers are still sent in English so
+ * requests read the same whatever language the visitor used.
+ *
+ * Requires main.js; uses validation.js when it is loaded.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const MODAL_ID = 'quote-wizard';
+  const STORAGE_KEY = 'friendlyfix-quote-wizard';
+
+  // Service types - values match the contact form's service select
+  const SERVICES = [
+    { value: 'leak', label: 'Leak Detection & Repair' },
+    { value: 'drain', label: 'Drain Cleaning' },
+    { value: 'heater', label: 'Water Heater' },
+    { value: 'fixture', label: 'Fixture Installation' },
+    { value: 'emergency', label: 'Emergency Service' },
+    { value: 'other', label: 'Other' }
+  ];
+
+  const YES_NO = ['Yes', 'No', 'Not sure'];
+
+  // Follow-up questions per service type
+  const QUESTIONS = {
+    leak: [
+      { name: 'location', label: 'Where is the leak?', type: 'select', required: true,
+        options: ['Kitchen', 'Bathroom', 'Basement', 'Ceiling or wall', 'Outdoors', 'Not sure'] },
+      { name: 'severity', label: 'How bad is it?', type: 'radio', required: true,
+        options: ['Slow drip', 'Steady leak', 'Active flooding'] },
+      { name: 'damage', label: 'Is there visible water damage?', type: 'radio', options: YES_NO }
+    ],
+    drain: [
+      { name: 'drain', label: 'Which drain is affected?', type: 'select', required: true,
+        options: ['Kitchen sink', 'Bathroom sink', 'Shower or tub', 'Toilet', 'Floor drain', 'Main sewer line'] },
+      { name: 'multiple', label: 'Are several drains slow or blocked?', type: 'radio', options: YES_NO },
+      { name: 'duration', label: 'How long has it been a problem?', type: 'radio', required: true,
+        options: ['Started today', 'A few days', 'A week or more'] }
+    ],
+    heater: [
+      { name: 'heaterType', label: 'What kind of water heater do you have?', type: 'select', required: true,
+        options: ['Gas tank', 'Electric tank', 'Tankless', 'Heat pump', 'Not sure'] },
+      { name: 'problem', label: 'What do you need?', type: 'radio', required: true,
+        options: ['No hot water', 'Not enough hot water', 'Leaking', 'Strange noises', 'Replacement or upgrade'] },
+      { name: 'age', label: 'Roughly how old is it (years)?', type: 'number', min: 0, max: 50 }
+    ],
+    fixture: [
+      { name: 'fixture', label: 'What needs installing?', type: 'select', required: true,
+        options: ['Faucet', 'Toilet', 'Shower or bathtub', 'Garbage disposal', 'Dishwasher', 'Other'] },
+      { name: 'quantity', label: 'How many?', type: 'number', min: 1, max: 20, required: true },
+      { name: 'supplied', label: 'Will you supply the fixture?', type: 'radio', options: ['Yes', 'No, please source it'] }
+    ],
+    emergency: [
+      { name: 'situation', label: 'What is happening?', type: 'select', required: true,
+        options: ['Burst pipe', 'Sewer backup', 'Flooding', 'No water', 'Leaking water heater', 'Other'] },
+      { name: 'shutoff', label: 'Have you turned off the main water supply?', type: 'radio', required: true,
+        options: ['Yes', 'No', 'I can\'t find it'] }
+    ],
+    other: [
+      { name: 'description', label: 'Describe the job', type: 'textarea', required: true, minLength: 10 }
+    ]
+  };
+
+  const STEPS = ['Service', 'Details', 'Contact', 'Review'];
+  const CONTACT_TIMES = ['Morning', 'Afternoon', 'Evening'];
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'quote.title': 'Request a Quote',
+    'quote.close': 'Close quote request',
+    'quote.step.service': 'Service',
+    'quote.step.details': 'Details',
+    'quote.step.contact': 'Contact',
+    'quote.step.review': 'Review',
+    'quote.counter': 'Step {index} of {total}: {step}',
+    'quote.serviceHeading': 'What do you need help with?',
+    'quote.serviceType': 'Service type',
+    'quote.serviceRequired': 'Please choose a service.',
+    'quote.detailsHeading': 'Tell us about the job',
+    'quote.questions': '{service} questions',
+    'quote.emergencyNote': 'Water pouring in right now? Call us on',
+    'quote.emergencyNoteEnd': '— we answer 24/7.',
+    'quote.choose': 'Choose...',
+    'quote.answerRequired': 'Please choose an answer.',
+    'quote.answerMissing': 'Please answer this question.',
+    'quote.thisAnswer': 'This answer',
+    'quote.notes': 'Anything else we should know? (optional)',
+    'quote.contactHeading': 'How can we reach you?',
+    'quote.name': 'Name',
+    'quote.email': 'Email',
+    'quote.phone': 'Phone',
+    'quote.phoneRequired': 'Please add a phone number so we can reach you about an emergency.',
+    'quote.address': 'Address or ZIP code (optional)',
+    'quote.contactTime': 'Best time to contact you',
+    'quote.anyTime': 'Any time',
+    'quote.reviewHeading': 'Check your request',
+    'quote.back': 'Back',
+    'quote.next': 'Next',
+    'quote.send': 'Send Request',
+    'quote.sending': 'Sending...',
+    'quote.summaryService': 'Service',
+    'quote.summaryDetails': 'Job details',
+    'quote.summaryNotes': 'Notes',
+    'quote.summaryContact': 'Contact',
+    'quote.summaryAddress': 'Address',
+    'quote.summaryTime': 'Best time',
+    'quote.edit': 'Edit',
+    'quote.queuedTitle': 'Saved — you\'re offline',
+    'quote.queuedText': 'We\'ll send your quote request automatically as soon as you\'re back online.',
+    'quote.sentTitle': 'Thanks! Your quote request is in.',
+    'quote.sentText': 'A plumber will review the details and get back to you within one business day.',
+    'quote.restart': 'Start another quote',
+    'quote.closeDone': 'Close'
+  };
+
+  let modal, form, steps, progressItems, counter, backBtn, nextBtn, submitBtn;
+  let current = 0;
+  let doneQueued = null; // Set while the confirmation is shown
+
+  function t(key, vars) {
+    return window.FriendlyFix.i18n.t(key, vars);
+  }
+
+  /**
+   * Translation key for an answer: "Ceiling or wall" → quote.option.ceilingOrWall
+   */
+  function optionKey(option) {
+    const words = option.toLowerCase().replace(/[^a-z0-9 ]/g, '').split(' ').filter(Boolean);
+    return 'quote.option.' + words.map((word, i) => (i ? word.charAt(0).toUpperCase() + word.slice(1) : word)).join('');
+  }
+
+  function stepKey(index) {
+    return `quote.step.${STEPS[index].toLowerCase()}`;
+  }
+
+  /**
+   * English for the keys derived from SERVICES, QUESTIONS and CONTACT_TIMES
+   */
+  function dataMessages() {
+    const messages = {};
+    SERVICES.forEach(service => {
+      messages[`quote.service.${service.value}`] = service.label;
+      QUESTIONS[service.value].forEach(question => {
+        messages[`quote.${service.value}.${question.name}`] = question.label;
+        (question.options || []).forEach(option => { messages[optionKey(option)] = option; });
+      });
+    });
+    CONTACT_TIMES.forEach(time => { messages[optionKey(time)] = time; });
+    return messages;
+  }
+
+  /**
+   * Markup for a translatable piece of text: rendered in the current
+   * language and marked with data-i18n so the switcher can update it
+   */
+  function text(tag, key, attributes = '') {
+    return `<${tag}${attributes} data-i18n="${key}">${escapeHtml(t(key))}</${tag}>`;
+  }
+
+  /**
+   * Attribute values that follow the language, e.g.
+   * i18nAttrs({ 'aria-label': 'quote.close' })
+   */
+  function i18nAttrs(attributes) {
+    const names = Object.keys(attributes);
+    return names.map(name => ` ${name}="${escapeHtml(t(attributes[name]))}"`).join('') +
+      ` data-i18n-attr="${names.map(name => `${name}:${attributes[name]}`).join(', ')}"`;
+  }
+
+  // ==========================================================================
+  // MARKUP
+  // ==========================================================================
+
+  /**
+   * Report wizard progress through the FriendlyFix event bus
+   */
+  function emit(type, detail) {
+    if (window.FriendlyFix && window.FriendlyFix.emit) window.FriendlyFix.emit(form, type, detail);
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Render one follow-up question
+   * Field names are prefixed with the service so every group can live in
+   * the form at once (inactive groups are disabled)
+   */
+  function renderQuestion(service, question) {
+    const name = `${service}-${question.name}`;
+    const required = question.required ? ' required' : '';
+    const labelKey = `quote.${service}.${question.name}`;
+    const label = `<span data-i18n="${labelKey}">${escapeHtml(t(labelKey))}</span>`;
+
+    if (question.type === 'radio') {
+      return `
+        <fieldset class="wizard-choice">
+          ${text('legend', labelKey)}
+          ${question.options.map(option => `
+            <label class="wizard-option">
+              <input type="radio" name="${name}" value="${escapeHtml(option)}"${required}
+                     ${i18nAttrs({ 'data-label': labelKey, 'data-message-required': 'quote.answerRequired' })}>
+              ${text('span', optionKey(option))}
+            </label>`).join('')}
+        </fieldset>`;
+    }
+
+    if (question.type === 'select') {
+      return `
+        <label>
+          ${label}
+          <select name="${name}"${i18nAttrs({ 'data-message-required': 'quote.answerRequired' })}${required}>
+            ${text('option', 'quote.choose', ' value=""')}
+            ${question.options.map(option => text('option', optionKey(option), ` value="${escapeHtml(option)}"`)).join('')}
+          </select>
+        </label>`;
+    }
+
+    if (question.type === 'textarea') {
+      const minLength = question.minLength ? ` minlength="${question.minLength}"` : '';
+      return `
+        <label>
+          ${label}
+          <textarea name="${name}" rows="4"${i18nAttrs({ 'data-label': labelKey })}${minLength}${required}></textarea>
+        </label>`;
+    }
+
+    const range = question.type === 'number' ? ` min="${question.min}" max="${question.max}" inputmode="numeric"` : '';
+    return `
+      <label>
+        ${label}
+        <input type="${question.type}" name="${name}"
+               ${i18nAttrs({ 'data-label': 'quote.thisAnswer', 'data-message-required': 'quote.answerMissing' })}${range}${required}>
+      </label>`;
+  }
+
+  function renderServiceGroup(service) {
+    const note = service.value === 'emergency'
+      ? `<p class="wizard-note">${text('span', 'quote.emergencyNote')} <a href="tel:+11234567890">(123) 456-7890</a> ${text('span', 'quote.emergencyNoteEnd')}</p>`
+      : '';
+    const serviceName = t(`quote.service.${service.value}`);
+
+    return `
+      <fieldset class="wizard-group" data-service-group="${service.value}" disabled hidden>
+        <legend class="visually-hidden" data-service-legend>${escapeHtml(t('quote.questions', { service: serviceName }))}</legend>
+        ${note}
+        ${QUESTIONS[service.value].map(question => renderQuestion(service.value, question)).join('')}
+      </fieldset>`;
+  }
+
+  /**
+   * Create the wizard modal and append it to the page
+   */
+  function buildWizard() {
+    modal = document.createElement('div');
+    modal.id = MODAL_ID;
+    modal.className = 'modal';
+    modal.setAttribute('aria-labelledby', `${MODAL_ID}-title`);
+    modal.innerHTML = `
+      <div class="modal-content quote-wizard">
+        <button class="modal-close" data-modal-close${i18nAttrs({ 'aria-label': 'quote.close' })}>&times;</button>
+        ${text('h2', 'quote.title', ` id="${MODAL_ID}-title"`)}
+
+        <ol class="wizard-progress">
+          ${STEPS.map((step, index) => text('li', stepKey(index))).join('')}
+        </ol>
+        <p class="wizard-counter" aria-live="polite"></p>
+
+        <form class="wizard-form" novalidate data-validate-manual>
+          <section class="wizard-step" aria-labelledby="${MODAL_ID}-step-0">
+            ${text('h3', 'quote.serviceHeading', ` id="${MODAL_ID}-step-0" tabindex="-1"`)}
+            <fieldset class="wizard-choice wizard-services">
+              ${text('legend', 'quote.serviceType', ' class="visually-hidden"')}
+              ${SERVICES.map(service => `
+                <label class="wizard-option">
+                  <input type="radio" name="service" value="${service.value}" required
+                         ${i18nAttrs({ 'data-label': 'quote.summaryService', 'data-message-required': 'quote.serviceRequired' })}>
+                  ${text('span', `quote.service.${service.value}`)}
+                </label>`).join('')}
+            </fieldset>
+          </section>
+
+          <section class="wizard-step" aria-labelledby="${MODAL_ID}-step-1" hidden>
+            ${text('h3', 'quote.detailsHeading', ` id="${MODAL_ID}-step-1" tabindex="-1"`)}
+            ${SERVICES.map(renderServiceGroup).join('')}
+            <label data-i18n="quote.notes">
+              ${escapeHtml(t('quote.notes'))}
+              <textarea name="notes" rows="3" maxlength="1000"></textarea>
+            </label>
+          </section>
+
+          <section class="wizard-step" aria-labelledby="${MODAL_ID}-step-2" hidden>
+            ${text('h3', 'quote.contactHeading', ` id="${MODAL_ID}-step-2" tabindex="-1"`)}
+            <label data-i18n="quote.name">
+              ${escapeHtml(t('quote.name'))}
+              <input type="text" name="name" autocomplete="name" required minlength="2">
+            </label>
+            <label data-i18n="quote.email">
+              ${escapeHtml(t('quote.email'))}
+              <input type="email" name="email" autocomplete="email" required>
+            </label>
+            <label data-i18n="quote.phone">
+              ${escapeHtml(t('quote.phone'))}
+              <input type="tel" name="phone" autocomplete="tel" data-format="phone"
+                     data-required-if="service=emergency"
+                     ${i18nAttrs({ 'data-message-required-if': 'quote.phoneRequired' })}>
+            </label>
+            <label data-i18n="quote.address">
+              ${escapeHtml(t('quote.address'))}
+              <input type="text" name="address" autocomplete="street-address">
+            </label>
+            <label data-i18n="quote.contactTime">
+              ${escapeHtml(t('quote.contactTime'))}
+              <select name="contactTime">
+                ${text('option', 'quote.anyTime', ' value=""')}
+                ${CONTACT_TIMES.map(time => text('option', optionKey(time), ` value="${time}"`)).join('')}
+              </select>
+            </label>
+          </section>
+
+          <section class="wizard-step" aria-labelledby="${MODAL_ID}-step-3" hidden>
+            ${text('h3', 'quote.reviewHeading', ` id="${MODAL_ID}-step-3" tabindex="-1"`)}
+            <div class="wizard-summary"></div>
+          </section>
+
+          <div class="wizard-actions">
+            ${text('button', 'quote.back', ' type="button" class="btn btn-secondary" data-wizard-back')}
+            ${text('button', 'quote.next', ' type="button" class="btn" data-wizard-next')}
+            ${text('button', 'quote.send', ' type="submit" class="btn" data-wizard-submit')}
+          </div>
+        </form>
+
+        <div class="wizard-done" tabindex="-1" hidden></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    form = modal.querySelector('.wizard-form');
+    steps = modal.querySelectorAll('.wizard-step');
+    progressItems = modal.querySelectorAll('.wizard-progress li');
+    counter = modal.querySelector('.wizard-counter');
+    backBtn = modal.querySelector('[data-wizard-back]');
+    nextBtn = modal.querySelector('[data-wizard-next]');
+    submitBtn = modal.querySelector('[data-wizard-submit]');
+  }
+
+  // ==========================================================================
+  // NAVIGATION
+  // ==========================================================================
+
+  /**
+   * Show a step and update progress, buttons and saved state
+   * @param {number} index - Step index
+   * @param {boolean} [moveFocus=true] - Focus the step heading
+   */
+  function showStep(index, moveFocus = true) {
+    current = index;
+
+    steps.forEach((step, i) => { step.hidden = i !== index; });
+    progressItems.forEach((item, i) => {
+      item.classList.toggle('is-complete', i < index);
+      item.classList.toggle('is-current', i === index);
+      if (i === index) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+    updateCounter();
+
+    backBtn.hidden = index === 0;
+    nextBtn.hidden = index === STEPS.length - 1;
+    submitBtn.hidden = index !== STEPS.length - 1;
+
+    if (index === STEPS.length - 1) renderSummary();
+    if (moveFocus) steps[index].querySelector('h3').focus();
+    save();
+  }
+
+  function updateCounter() {
+    counter.textContent = t('quote.counter', { index: current + 1, total: STEPS.length, step: t(stepKey(current)) });
+  }
+
+  /**
+   * Move to a step from the wizard's buttons, reporting it as quote:step
+   */
+  function goToStep(index) {
+    const previousIndex = current;
+    showStep(index);
+    emit('quote:step', { index, name: STEPS[index], previousIndex });
+  }
+
+  /**
+   * Validate the fields in one step
+   * Falls back to native constraint validation without validation.js
+   */
+  function validateStep(index) {
+    const validation = window.FriendlyFix.validation;
+    if (validation) {
+      return validation.attach(form).validate(steps[index]);
+    }
+    const fields = Array.from(steps[index].querySelectorAll('input, select, textarea'))
+      .filter(field => !field.matches(':disabled'));
+    return fields.every(field => field.reportValidity());
+  }
+
+  /**
+   * Enable only the question group for the chosen service
+   */
+  function syncServiceGroup() {
+    const service = form.elements.service.value;
+    form.querySelectorAll('[data-service-group]').forEach(group => {
+      const active = group.getAttribute('data-service-group') === service;
+      group.disabled = !active;
+      group.hidden = !active;
+    });
+  }
+
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+
+  function save() {
+    const values = {};
+    Array.from(form.elements).forEach(field => {
+      if (!field.name) return;
+      if (field.type === 'radio' || field.type === 'checkbox') {
+        if (field.checked) values[field.name] = field.value;
+      } else {
+        values[field.name] = field.value;
+      }
+    });
+
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ step: current, values }));
+    } catch (error) {
+      // Storage disabled - the wizard still works, it just won't resume
+    }
+  }
+
+  function restore() {
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      saved = null;
+    }
+    if (!saved || !saved.values) return 0;
+
+    Array.from(form.elements).forEach(field => {
+      if (!field.name || !(field.name in saved.values)) return;
+      if (field.type === 'radio' || field.type === 'checkbox') {
+        field.checked = saved.values[field.name] === field.value;
+      } else {
+        field.value = saved.values[field.name];
+      }
+    });
+    syncServiceGroup();
+
+    // Later steps need a service; fall back to the start if it's missing
+    if (!form.elements.service.value) return 0;
+    return Math.min(saved.step || 0, STEPS.length - 1);
+  }
+
+  function clearSaved() {
+    try {
+      sessionStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+
+  // ==========================================================================
+  // PAYLOAD & REVIEW
+  // ==========================================================================
+
+  /**
+   * Build the structured request sent to the quote endpoint
+   * @returns {Object}
+   */
+  function buildPayload() {
+    const values = window.FriendlyFix.serializeForm(form);
+    const service = SERVICES.find(s => s.value === values.service);
+    const details = {};
+
+    QUESTIONS[service.value].forEach(question => {
+      const value = values[`${service.value}-${question.name}`];
+      if (value !== undefined && value !== '') details[question.name] = value;
+    });
+
+    return {
+      type: 'quote',
+      service: service.value,
+      serviceLabel: service.label,
+      details,
+      notes: values.notes || '',
+      contact: {
+        name: values.name,
+        email: values.email,
+        phone: values.phone || '',
+        address: values.address || '',
+        preferredTime: values.contactTime || 'Any time'
+      },
+      page: window.location.pathname,
+      submittedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Render the review step from the current answers
+   * Each section has an Edit button that jumps back to its step
+   */
+  function renderSummary() {
+    const payload = buildPayload();
+    const service = payload.service;
+    // Answers are stored in English; show them in the visitor's language
+    const answer = (question, value) => (question.options ? t(optionKey(value)) : value);
+    const sections = [
+      { step: 0, title: t('quote.summaryService'), rows: [[t('quote.summaryService'), t(`quote.service.${service}`)]] },
+      {
+        step: 1,
+        title: t('quote.summaryDetails'),
+        rows: QUESTIONS[service]
+          .filter(question => payload.details[question.name] !== undefined)
+          .map(question => [t(`quote.${service}.${question.name}`), answer(question, payload.details[question.name])])
+          .concat(payload.notes ? [[t('quote.summaryNotes'), payload.notes]] : [])
+      },
+      {
+        step: 2,
+        title: t('quote.summaryContact'),
+        rows: [
+          [t('quote.name'), payload.contact.name],
+          [t('quote.email'), payload.contact.email],
+          [t('quote.phone'), payload.contact.phone || '—'],
+          [t('quote.summaryAddress'), payload.contact.address || '—'],
+          [t('quote.summaryTime'), form.elements.contactTime.value ? t(optionKey(payload.contact.preferredTime)) : t('quote.anyTime')]
+        ]
+      }
+    ];
+
+    modal.querySelector('.wizard-summary').innerHTML = sections.map(section => `
+      <div class="wizard-summary-section">
+        <div class="wizard-summary-header">
+          <h4>${escapeHtml(section.title)}</h4>
+          <button type="button" class="btn-link" data-wizard-edit="${section.step}">${escapeHtml(t('quote.edit'))}<span class="visually-hidden"> ${escapeHtml(section.title.toLowerCase())}</span></button>
+        </div>
+        <dl>
+          ${section.rows.map(([term, value]) => `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+        </dl>
+      </div>
+    `).join('');
+  }
+
+  // ==========================================================================
+  // SUBMISSION
+  // ==========================================================================
+
+  async function submit(e) {
+    e.preventDefault();
+
+    // Enter in a field submits the form on any step; treat it as "Next"
+    // so the request is always checked on the review step before sending
+    if (current !== STEPS.length - 1) {
+      if (validateStep(current)) goToStep(current + 1);
+      return;
+    }
+    if (!validateStep(0) || !validateStep(1) || !validateStep(2)) return;
+
+    const FriendlyFix = window.FriendlyFix;
+    const originalText = submitBtn.textContent;
+    submitBtn.classList.add('loading');
+    submitBtn.textContent = t('quote.sending');
+    submitBtn.disabled = true;
+    backBtn.disabled = true;
+
+    try {
+      const payload = buildPayload();
+      const result = await FriendlyFix.sendSubmission(FriendlyFix.config.quoteEndpoint, payload);
+      emit('quote:submit', { service: payload.service, status: result.status, response: result.data || null });
+      showDone(result.status === 'queued');
+    } catch (error) {
+      emit('quote:error', { error });
+      FriendlyFix.showNotification(error.message, 'error');
+    } finally {
+      submitBtn.classList.remove('loading');
+      submitBtn.textContent = originalText;
+      submitBtn.disabled = false;
+      backBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Replace the form with a confirmation message
+   * @param {boolean} queued - The request was saved for sending later
+   */
+  function showDone(queued) {
+    const done = modal.querySelector('.wizard-done');
+    doneQueued = queued;
+    renderDone();
+
+    form.hidden = true;
+    modal.querySelector('.wizard-progress').hidden = true;
+    counter.textContent = '';
+    done.hidden = false;
+    done.focus();
+
+    clearSaved();
+    form.reset();
+    syncServiceGroup();
+  }
+
+  function renderDone() {
+    const prefix = doneQueued ? 'quote.queued' : 'quote.sent';
+    modal.querySelector('.wizard-done').innerHTML = `
+      <h3>${escapeHtml(t(`${prefix}Title`))}</h3>
+      <p>${escapeHtml(t(`${prefix}Text`))}</p>
+      <div class="wizard-actions">
+        <button type="button" class="btn btn-secondary" data-wizard-restart>${escapeHtml(t('quote.restart'))}</button>
+        <button type="button" class="btn" data-modal-close>${escapeHtml(t('quote.closeDone'))}</button>
+      </div>`;
+  }
+
+  /**
+   * Text that includes values or isn't marked with data-i18n, redrawn when
+   * the language changes (the rest is switched by translate())
+   */
+  function refreshLanguage() {
+    form.querySelectorAll('[data-service-legend]').forEach(legend => {
+      const group = legend.closest('[data-service-group]').getAttribute('data-service-group');
+      legend.textContent = t('quote.questions', { service: t(`quote.service.${group}`) });
+    });
+    if (!form.hidden) updateCounter();
+    if (!form.hidden && current === STEPS.length - 1) renderSummary();
+    if (doneQueued !== null) renderDone();
+  }
+
+  function restart() {
+    doneQueued = null;
+    modal.querySelector('.wizard-done').hidden = true;
+    modal.querySelector('.wizard-progress').hidden = false;
+    form.hidden = false;
+    showStep(0);
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  /**
+   * Preselect a service when the wizard is opened from a trigger
+   * Uses data-quote-service, else the contact form's service select
+   */
+  function presetService(trigger) {
+    if (form.elements.service.value) return;
+
+    const contactSelect = document.querySelector('.contact-form select[name="service"]');
+    const preset = (trigger && trigger.getAttribute('data-quote-service')) || (contactSelect && contactSelect.value);
+    const radio = preset && form.querySelector(`input[name="service"][value="${preset}"]`);
+
+    if (radio) {
+      radio.checked = true;
+      syncServiceGroup();
+      save();
+    }
+  }
+
+  function initQuoteWizard() {
+    if (document.getElementById(MODAL_ID) || !window.FriendlyFix) return;
+
+    window.FriendlyFix.i18n.addMessages(Object.assign({}, MESSAGES, dataMessages()));
+    buildWizard();
+    showStep(restore(), false);
+    document.addEventListener('language:change', refreshLanguage);
+
+    nextBtn.addEventListener('click', () => {
+      if (validateStep(current)) goToStep(current + 1);
+    });
+    backBtn.addEventListener('click', () => goToStep(current - 1));
+
+    form.addEventListener('change', e => {
+      if (e.target.name === 'service') syncServiceGroup();
+      save();
+    });
+    form.addEventListener('input', save);
+    form.addEventListener('submit', submit);
+
+    modal.addEventListener('click', e => {
+      const edit = e.target.closest('[data-wizard-edit]');
+      if (edit) goToStep(Number(edit.getAttribute('data-wizard-edit')));
+      if (e.target.closest('[data-wizard-restart]')) restart();
+    });
+
+    // Start over after a finished request, and preset the service from the trigger
+    modal.addEventListener('modal:beforeopen', e => {
+      if (form.hidden) restart();
+      presetService(e.detail.trigger);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initQuoteWizard);
+  } else {
+    initQuoteWizard();
+  }
+
+})();
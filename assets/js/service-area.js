@@ -0,0 +1,548 @@
+/**
+ * Service Area Checker for Friendly Fix Plumbing
+ * Tells customers whether we cover their address, and which call-out fee
+ * and response time apply.
+ *
+ * Markup:
+ *   <div class="service-area"
+ *        data-service-area="assets/data/service-areas.geojson"
+ *        data-postcodes="assets/data/postcodes.json"></div>
+ *
+ * Zones are GeoJSON Polygon or MultiPolygon features with these properties:
+ *   { "id": "manhattan", "name": "Manhattan", "fee": 0,
+ *     "responseTime": "Within 1 hour", "color": "#2563eb" }
+ * When zones overlap, the first one in the file wins, so list the inner
+ * (cheapest) zones first.
+ *
+ * Addresses are turned into coordinates by a geocoder:
+ *   (query) => Promise<{ lat, lng, label } | null>
+ * The default looks ZIP codes and place names up in the offline table named
+ * in data-postcodes. Plug in a real one with FriendlyFixConfig.geocoder or
+ * FriendlyFix.serviceArea.setGeocoder(fn).
+ *
+ * map.js hands its Leaflet map to attachMap(), which draws the zones and
+ * lets customers click the map to check a spot.
+ *
+ * Text follows the site's language switcher. Zone names and response times
+ * are registered as `serviceArea.zone.<id>.name` / `.responseTime`, so a
+ * locale bundle can translate them too.
+ *
+ * Requires main.js.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const state = {
+    zones: [],        // [{ id, name, fee, responseTime, color, polygons }]
+    geocoder: null,
+    map: null,
+    layers: null,     // Leaflet GeoJSON layer with the zones
+    pin: null         // Marker for the last checked location
+  };
+
+  // English text; other languages come from the locale bundles.
+  // Zone names and response times are added once the zones load.
+  const MESSAGES = {
+    'serviceArea.label': 'Check if we cover your area',
+    'serviceArea.placeholder': 'ZIP code, e.g. 10001',
+    'serviceArea.submit': 'Check',
+    'serviceArea.mapHint': 'Or click anywhere on the map.',
+    'serviceArea.zones': 'Service zones',
+    'serviceArea.covered': 'Good news — we cover {label}.',
+    'serviceArea.zone': '{name} zone',
+    'serviceArea.response': 'Response: {time}',
+    'serviceArea.outside': 'Sorry, {label} is outside our service area.',
+    'serviceArea.callUs': 'Call us on',
+    'serviceArea.mayHelp': '— we may still be able to help or recommend someone local.',
+    'serviceArea.outsideShort': 'Outside our service area',
+    'serviceArea.fee': '{fee} call-out fee',
+    'serviceArea.noFee': 'No call-out fee',
+    'serviceArea.pickedSpot': 'the spot you picked',
+    'serviceArea.empty': 'Please enter a ZIP code or town.',
+    'serviceArea.notFound': 'We couldn\'t find "{query}". Try a 5-digit ZIP code such as 10001.',
+    'serviceArea.failed': 'We couldn\'t check that address right now. Please try again or give us a call.',
+    'serviceArea.unavailable': 'The service area checker is unavailable right now. Please call us to check your address.'
+  };
+
+  let readyResolve;
+  const ready = new Promise(resolve => { readyResolve = resolve; });
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Message in the chosen language; English when main.js isn't loaded
+   */
+  function t(key, vars = {}) {
+    const i18n = window.FriendlyFix && window.FriendlyFix.i18n;
+    if (i18n) {
+      i18n.addMessages(MESSAGES); // Keeps existing keys, so repeating it is harmless
+      return i18n.t(key, vars);
+    }
+    return MESSAGES[key].replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] !== undefined ? vars[name] : placeholder));
+  }
+
+  function language() {
+    return window.FriendlyFix && window.FriendlyFix.i18n ? window.FriendlyFix.i18n.language : 'en';
+  }
+
+  /**
+   * Report an event through the FriendlyFix event bus (main.js), or as a
+   * plain bubbling DOM event when main.js isn't on the page
+   */
+  function emit(target, type, detail) {
+    if (window.FriendlyFix && window.FriendlyFix.emit) {
+      window.FriendlyFix.emit(target, type, detail);
+    } else {
+      target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    }
+  }
+
+  // ==========================================================================
+  // ZONES
+  // ==========================================================================
+
+  /**
+   * Ray casting test for one ring of [lng, lat] positions
+   */
+  function inRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * A polygon is an outer ring followed by optional holes
+   */
+  function inPolygon(lng, lat, rings) {
+    return inRing(lng, lat, rings[0]) && !rings.slice(1).some(hole => inRing(lng, lat, hole));
+  }
+
+  /**
+   * Turn GeoJSON features into zones with a flat list of polygons
+   * @param {Object} geojson - FeatureCollection
+   */
+  function parseZones(geojson) {
+    return (geojson.features || [])
+      .filter(feature => feature.geometry && /Polygon$/.test(feature.geometry.type))
+      .map((feature, index) => {
+        const props = feature.properties || {};
+        const geometry = feature.geometry;
+        return {
+          id: props.id || `zone-${index + 1}`,
+          name: props.name || `Zone ${index + 1}`,
+          fee: Number(props.fee) || 0,
+          responseTime: props.responseTime || '',
+          color: props.color || '#2563eb',
+          polygons: geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates,
+          feature
+        };
+      });
+  }
+
+  /**
+   * Find the zone covering a point
+   * @returns {Object|null} The first matching zone
+   */
+  function findZone(lat, lng) {
+    return state.zones.find(zone => zone.polygons.some(rings => inPolygon(lng, lat, rings))) || null;
+  }
+
+  /**
+   * Register the zones' names and response times as translatable text
+   */
+  function addZoneMessages(zones) {
+    zones.forEach(zone => {
+      MESSAGES[`serviceArea.zone.${zone.id}.name`] = zone.name;
+      if (zone.responseTime) MESSAGES[`serviceArea.zone.${zone.id}.responseTime`] = zone.responseTime;
+    });
+  }
+
+  function zoneName(zone) {
+    return t(`serviceArea.zone.${zone.id}.name`);
+  }
+
+  function zoneResponse(zone) {
+    return zone.responseTime ? t(`serviceArea.zone.${zone.id}.responseTime`) : '';
+  }
+
+  function formatFee(fee) {
+    if (!(fee > 0)) return t('serviceArea.noFee');
+    const amount = new Intl.NumberFormat(language(), {
+      style: 'currency', currency: 'USD', minimumFractionDigits: 0, maximumFractionDigits: 0
+    }).format(fee);
+    return t('serviceArea.fee', { fee: amount });
+  }
+
+  // ==========================================================================
+  // GEOCODING
+  // ==========================================================================
+
+  /**
+   * Default geocoder: look the query up in a JSON table of
+   * { "10001": { "lat": 40.75, "lng": -73.99, "label": "Chelsea, Manhattan" } }.
+   * Matches a 5-digit ZIP anywhere in the query (ZIP+4 is fine), otherwise
+   * a place name from the labels.
+   * @param {string} url - Location of the lookup table
+   * @returns {Function} (query) => Promise<{ lat, lng, label } | null>
+   */
+  function lookupGeocoder(url) {
+    let table = null;
+
+    return async function(query) {
+      if (!table) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Postcode table request failed (${response.status})`);
+        table = await response.json();
+      }
+
+      const zip = (query.match(/\b(\d{5})(?:-\d{4})?\b/) || [])[1];
+      if (zip) {
+        return table[zip] ? Object.assign({ postcode: zip }, table[zip]) : null;
+      }
+
+      const name = query.trim().toLowerCase();
+      if (name.length < 3) return null;
+      const key = Object.keys(table).find(code => table[code].label.toLowerCase().includes(name));
+      return key ? Object.assign({ postcode: key }, table[key]) : null;
+    };
+  }
+
+  // ==========================================================================
+  // MAP
+  // ==========================================================================
+
+  function zoneStyle(zone, active) {
+    return {
+      color: zone.color,
+      fillColor: zone.color,
+      weight: active ? 3 : 1.5,
+      fillOpacity: active ? 0.25 : 0.1
+    };
+  }
+
+  function drawZones() {
+    if (!state.map || state.layers || !state.zones.length) return;
+
+    // Draw outer zones first so the inner ones sit on top
+    state.layers = L.geoJSON(state.zones.slice().reverse().map(zone => zone.feature), {
+      style: feature => zoneStyle(zoneFor(feature), false),
+      onEachFeature: (feature, layer) => {
+        layer.bindTooltip(tooltipFor(zoneFor(feature)), { sticky: true });
+      }
+    }).addTo(state.map);
+  }
+
+  function tooltipFor(zone) {
+    return `${escapeHtml(zoneName(zone))} · ${escapeHtml(formatFee(zone.fee))}`;
+  }
+
+  function popupFor(result) {
+    return result.zone
+      ? `<strong>${escapeHtml(zoneName(result.zone))}</strong><br>${escapeHtml(formatFee(result.zone.fee))}`
+      : escapeHtml(t('serviceArea.outsideShort'));
+  }
+
+  function zoneFor(feature) {
+    return state.zones.find(zone => zone.feature === feature);
+  }
+
+  /**
+   * Highlight the matched zone and drop a pin on the checked location
+   */
+  function showOnMap(result) {
+    if (!state.map) return;
+
+    if (state.layers) {
+      state.layers.eachLayer(layer => {
+        const zone = zoneFor(layer.feature);
+        layer.setStyle(zoneStyle(zone, zone === result.zone));
+      });
+    }
+
+    const latlng = [result.lat, result.lng];
+    if (state.pin) {
+      state.pin.setLatLng(latlng);
+    } else {
+      state.pin = L.circleMarker(latlng, {
+        radius: 8,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#0f172a',
+        fillOpacity: 1
+      }).addTo(state.map);
+    }
+
+    state.pin.bindPopup(popupFor(result), { className: 'custom-popup' }).openPopup();
+  }
+
+  /**
+   * Draw the zones on a Leaflet map and check whatever spot is clicked
+   * @param {Object} map - Leaflet map
+   */
+  function attachMap(map) {
+    state.map = map;
+    ready.then(drawZones);
+
+    map.on('click', event => {
+      checkPoint(event.latlng.lat, event.latlng.lng);
+    });
+  }
+
+  // ==========================================================================
+  // CHECKER
+  // ==========================================================================
+
+  const widgets = [];
+  let checkCount = 0;
+  let lastResult = null;
+
+  // Results whose text comes from message keys, so it can be redone in
+  // another language: error → { key, vars }, unnamed map click → true
+  const messageKeys = new WeakMap();
+
+  function failure(key, vars) {
+    const result = { error: t(key, vars) };
+    messageKeys.set(result, { key, vars });
+    return result;
+  }
+
+  /**
+   * Describe a result in the checker widgets
+   * @param {Object} result - { zone, label } or { error }
+   */
+  function render(result) {
+    lastResult = result;
+    const label = messageKeys.get(result) === true ? t('serviceArea.pickedSpot') : result.label;
+
+    widgets.forEach(widget => {
+      const output = widget.querySelector('.service-area-result');
+      output.classList.remove('is-covered', 'is-outside', 'is-error');
+
+      if (result.error) {
+        output.classList.add('is-error');
+        output.textContent = result.error;
+      } else if (result.zone) {
+        const zone = result.zone;
+        const response = zoneResponse(zone);
+        output.classList.add('is-covered');
+        output.innerHTML = `
+          <strong>${escapeHtml(t('serviceArea.covered', { label }))}</strong>
+          <span>${escapeHtml(t('serviceArea.zone', { name: zoneName(zone) }))} · ${escapeHtml(formatFee(zone.fee))}${response ? ` · ${escapeHtml(t('serviceArea.response', { time: response.toLocaleLowerCase(language()) }))}` : ''}</span>`;
+      } else {
+        output.classList.add('is-outside');
+        output.innerHTML = `
+          <strong>${escapeHtml(t('serviceArea.outside', { label }))}</strong>
+          <span>${escapeHtml(t('serviceArea.callUs'))} <a href="tel:+11234567890">(123) 456-7890</a> ${escapeHtml(t('serviceArea.mayHelp'))}</span>`;
+      }
+
+      widget.querySelectorAll('.service-area-zone').forEach(item => {
+        item.classList.toggle('is-active', Boolean(result.zone) && item.dataset.zone === result.zone.id);
+      });
+    });
+  }
+
+  /**
+   * Check a point and show the result
+   * @param {number} lat
+   * @param {number} lng
+   * @param {string} [label] - How to refer to the location; "the spot you picked" by default
+   * @returns {Promise<Object>} { lat, lng, label, zone }
+   */
+  async function checkPoint(lat, lng, label) {
+    const run = ++checkCount; // Also discards address lookups still in flight
+    await ready;
+    if (run !== checkCount) return null;
+    const result = { lat, lng, label: label || t('serviceArea.pickedSpot'), zone: findZone(lat, lng) };
+    if (!label) messageKeys.set(result, true);
+    render(result);
+    showOnMap(result);
+    reportCheck(null, result);
+    return result;
+  }
+
+  /**
+   * Geocode an address or postcode and check it
+   * @param {string} query
+   * @returns {Promise<Object>} { lat, lng, label, zone } or { error }
+   */
+  async function check(query) {
+    const run = ++checkCount;
+    let result;
+
+    try {
+      await ready;
+      if (!state.zones.length) throw new Error('No service zones loaded');
+
+      const place = await state.geocoder(query);
+      if (run !== checkCount) return null; // A newer check has started
+
+      if (!place) {
+        result = failure('serviceArea.notFound', { query });
+      } else {
+        const label = place.postcode && !place.label.includes(place.postcode)
+          ? `${place.label} (${place.postcode})`
+          : place.label;
+        result = { lat: place.lat, lng: place.lng, label, zone: findZone(place.lat, place.lng) };
+        if (state.map) state.map.setView([place.lat, place.lng], Math.max(state.map.getZoom(), 12));
+      }
+    } catch (error) {
+      console.error('Service area check failed:', error);
+      if (run !== checkCount) return null;
+      result = failure('serviceArea.failed');
+    }
+
+    render(result);
+    if (!result.error) showOnMap(result);
+    reportCheck(query, result);
+    return result;
+  }
+
+  /**
+   * Emit servicearea:check from the first checker widget (or the document)
+   * @param {string|null} query - Text that was looked up; null for map clicks
+   * @param {Object} result - From check() or checkPoint()
+   */
+  function reportCheck(query, result) {
+    emit(widgets[0] || document, 'servicearea:check', Object.assign({ query }, result, {
+      covered: Boolean(result.zone)
+    }));
+  }
+
+  /**
+   * Build the postcode form and zone list inside a container
+   */
+  function createChecker(root) {
+    const id = `service-area-query-${widgets.length + 1}`;
+    root.innerHTML = `
+      <form class="service-area-form" novalidate>
+        <label for="${id}" data-i18n="serviceArea.label">${escapeHtml(t('serviceArea.label'))}</label>
+        <div class="service-area-row">
+          <input id="${id}" name="query" type="text" autocomplete="postal-code" placeholder="${escapeHtml(t('serviceArea.placeholder'))}" data-i18n-attr="placeholder:serviceArea.placeholder" required>
+          <button type="submit" class="btn btn-sm" data-i18n="serviceArea.submit">${escapeHtml(t('serviceArea.submit'))}</button>
+        </div>
+        ${window.L ? `<p class="service-area-hint" data-i18n="serviceArea.mapHint">${escapeHtml(t('serviceArea.mapHint'))}</p>` : ''}
+      </form>
+      <div class="service-area-result" role="status" aria-live="polite"></div>
+      <ul class="service-area-zones" aria-label="${escapeHtml(t('serviceArea.zones'))}" data-i18n-attr="aria-label:serviceArea.zones"></ul>
+    `;
+
+    const form = root.querySelector('form');
+    const input = form.elements.query;
+    const button = form.querySelector('button');
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      const query = input.value.trim();
+      if (!query) {
+        render(failure('serviceArea.empty'));
+        input.focus();
+        return;
+      }
+
+      button.disabled = true;
+      root.setAttribute('aria-busy', 'true');
+      try {
+        await check(query);
+      } finally {
+        button.disabled = false;
+        root.removeAttribute('aria-busy');
+      }
+    });
+
+    widgets.push(root);
+  }
+
+  function renderZoneList() {
+    widgets.forEach(widget => {
+      widget.querySelector('.service-area-zones').innerHTML = state.zones.map(zone => `
+        <li class="service-area-zone" data-zone="${escapeHtml(zone.id)}">
+          <span class="service-area-swatch" style="background: ${escapeHtml(zone.color)}"></span>
+          <strong>${escapeHtml(zoneName(zone))}</strong>
+          <span>${escapeHtml(formatFee(zone.fee))}${zone.responseTime ? ` · ${escapeHtml(zoneResponse(zone))}` : ''}</span>
+        </li>`).join('');
+    });
+  }
+
+  /**
+   * Redo the text built from messages after the language changes
+   */
+  function refreshLanguage() {
+    renderZoneList();
+    if (lastResult) { // Also highlights the matched zone again
+      const keys = messageKeys.get(lastResult);
+      render(keys && keys !== true ? failure(keys.key, keys.vars) : lastResult);
+    }
+    if (state.layers) {
+      state.layers.eachLayer(layer => layer.setTooltipContent(tooltipFor(zoneFor(layer.feature))));
+    }
+    if (state.pin && lastResult && !lastResult.error) {
+      state.pin.setPopupContent(popupFor(lastResult));
+    }
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  async function initServiceArea() {
+    const root = document.querySelector('[data-service-area]');
+    if (!root) {
+      readyResolve(state.zones);
+      return;
+    }
+
+    const config = (window.FriendlyFix && window.FriendlyFix.config) || {};
+    state.geocoder = state.geocoder || config.geocoder ||
+      lookupGeocoder(root.getAttribute('data-postcodes') || 'assets/data/postcodes.json');
+
+    document.querySelectorAll('[data-service-area]').forEach(createChecker);
+
+    try {
+      const response = await fetch(root.getAttribute('data-service-area'));
+      if (!response.ok) throw new Error(`Service area request failed (${response.status})`);
+      state.zones = parseZones(await response.json());
+      addZoneMessages(state.zones);
+      renderZoneList();
+    } catch (error) {
+      console.error('Service areas could not be loaded:', error);
+      render(failure('serviceArea.unavailable'));
+    } finally {
+      readyResolve(state.zones);
+    }
+
+    document.addEventListener('language:change', refreshLanguage);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initServiceArea);
+  } else {
+    initServiceArea();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.serviceArea = {
+    ready,                                   // Resolves with the zones once loaded
+    get zones() { return state.zones; },
+    check,                                   // Geocode a query and show the result
+    checkPoint,                              // (lat, lng, label) → result (null if superseded)
+    findZone,                                // (lat, lng) → zone or null
+    attachMap,                               // Draw zones on a Leaflet map
+    lookupGeocoder,                          // Build the offline table geocoder
+    setGeocoder: geocoder => { state.geocoder = geocoder; }
+  };
+
+})();
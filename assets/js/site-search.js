@@ -0,0 +1,424 @@
+/**
+ * Site Search for Friendly Fix Plumbing
+ * A command palette that searches every page, service and FAQ answer.
+ * Open it with Ctrl+K / ⌘K, with "/" (when not typing in a field) or with
+ * the Search button this module adds to the main navigation.
+ *
+ * Entries come from a prebuilt index (FriendlyFixConfig.searchIndex,
+ * written by `node tools/build-search-index.js`) and are ranked with the
+ * same tokenizer, synonyms and typo tolerance as the on-page search.
+ * Results are grouped by type; Up/Down choose one and Enter opens it:
+ * - a service opens its modal in the right tab of services.html
+ * - a question opens its FAQ accordion item
+ * - a page is simply visited
+ *
+ * Result URLs such as services.html?tab=installation#modal-heater also
+ * work as ordinary links: on arrival the named modal is opened, loading
+ * more of the service catalog first if needed.
+ *
+ * The palette's own text follows the site's language switcher (keys
+ * `search.*`); titles and summaries come from the index as written.
+ *
+ * Requires main.js.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const GROUPS = [
+    { type: 'service', label: 'search.group.service' },
+    { type: 'faq', label: 'search.group.faq' },
+    { type: 'page', label: 'search.group.page' }
+  ];
+  const MAX_PER_GROUP = 5;
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'search.trigger': 'Search',
+    'search.label': 'Search the site',
+    'search.placeholder': 'Search services, questions and pages…',
+    'search.listLabel': 'Search results',
+    'search.group.service': 'Services',
+    'search.group.faq': 'Questions',
+    'search.group.page': 'Pages',
+    'search.loading': 'Loading…',
+    'search.prompt': 'Type to search services, questions and pages.',
+    'search.count': {
+      one: '{count} result. Use the arrow keys to choose, Enter to open.',
+      other: '{count} results. Use the arrow keys to choose, Enter to open.'
+    },
+    'search.none': 'No results for "{query}". Try another word, or call us on (123) 456-7890.',
+    'search.error': 'Search isn\'t available right now. Please try again later.'
+  };
+
+  const state = {
+    entries: [],      // { data, search } for each index entry
+    loading: null,    // Promise of the entries while/after loading
+    palette: null,
+    input: null,
+    list: null,
+    status: null,
+    results: [],      // Entries shown, in display order
+    active: -1,       // Highlighted result
+    failed: false     // The index couldn't be loaded on the last open
+  };
+
+  function t(key, vars) {
+    return window.FriendlyFix.i18n.t(key, vars);
+  }
+
+  function emit(target, type, detail) {
+    if (window.FriendlyFix && window.FriendlyFix.emit) {
+      window.FriendlyFix.emit(target, type, detail);
+    } else {
+      target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    }
+  }
+
+  // ==========================================================================
+  // INDEX
+  // ==========================================================================
+
+  /**
+   * Fetch the index once; a failed load is retried on the next open
+   * @returns {Promise<Object[]>}
+   */
+  function loadIndex() {
+    if (!state.loading) {
+      state.loading = fetch(window.FriendlyFix.config.searchIndex)
+        .then(response => {
+          if (!response.ok) throw new Error(`Search index request failed (${response.status})`);
+          return response.json();
+        })
+        .then(data => {
+          const { buildEntry } = window.FriendlyFix.search;
+          state.entries = (data.entries || []).map(entry => ({
+            data: entry,
+            search: buildEntry([
+              { text: entry.title, weight: 3 },
+              { text: entry.keywords || '', weight: 2 },
+              { text: `${entry.summary || ''} ${entry.text || ''}`, weight: 1 }
+            ])
+          }));
+          return state.entries;
+        })
+        .catch(error => {
+          state.loading = null;
+          throw error;
+        });
+    }
+    return state.loading;
+  }
+
+  /**
+   * Index entries matching a query, best first
+   * @param {string} query
+   * @returns {Object[]}
+   */
+  function search(query) {
+    const { score } = window.FriendlyFix.search;
+    return state.entries
+      .map(entry => ({ entry: entry.data, score: score(entry.search, query).score }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(result => result.entry);
+  }
+
+  // ==========================================================================
+  // PALETTE
+  // ==========================================================================
+
+  function buildPalette() {
+    const palette = document.createElement('div');
+    palette.className = 'modal search-palette';
+    palette.id = 'search-palette';
+    palette.innerHTML = `
+      <div class="modal-content search-palette-content">
+        <div class="search-palette-field">
+          <input type="search" class="search-palette-input"
+                 role="combobox" aria-expanded="false" aria-controls="search-palette-results"
+                 aria-autocomplete="list" autocomplete="off" spellcheck="false">
+          <kbd class="search-palette-hint">Esc</kbd>
+        </div>
+        <div class="search-palette-results" id="search-palette-results" role="listbox"></div>
+        <p class="search-palette-status" aria-live="polite"></p>
+      </div>`;
+    document.body.appendChild(palette);
+
+    state.palette = palette;
+    state.input = palette.querySelector('.search-palette-input');
+    state.list = palette.querySelector('.search-palette-results');
+    state.status = palette.querySelector('.search-palette-status');
+    renderLabels();
+
+    let renderTimer;
+    state.input.addEventListener('input', () => {
+      clearTimeout(renderTimer);
+      renderTimer = setTimeout(render, 80);
+    });
+    state.input.addEventListener('keydown', onInputKeydown);
+    state.list.addEventListener('click', e => {
+      const option = e.target.closest('[role="option"]');
+      if (option) go(state.results[Number(option.getAttribute('data-index'))]);
+    });
+    state.list.addEventListener('mousemove', e => {
+      const option = e.target.closest('[role="option"]');
+      if (option) setActive(Number(option.getAttribute('data-index')));
+    });
+  }
+
+  /**
+   * Labels in the current language
+   */
+  function renderLabels() {
+    state.palette.setAttribute('aria-label', t('search.label'));
+    state.input.setAttribute('aria-label', t('search.label'));
+    state.input.placeholder = t('search.placeholder');
+    state.list.setAttribute('aria-label', t('search.listLabel'));
+  }
+
+  /**
+   * Show grouped results for the current query
+   */
+  function render() {
+    const query = state.input.value.trim();
+    const ranked = query.length > 1 ? search(query) : [];
+    state.results = [];
+    state.list.innerHTML = '';
+
+    GROUPS.forEach(group => {
+      const matches = ranked.filter(entry => entry.type === group.type).slice(0, MAX_PER_GROUP);
+      if (!matches.length) return;
+
+      const groupElement = document.createElement('div');
+      groupElement.className = 'search-palette-group';
+      groupElement.setAttribute('role', 'group');
+      groupElement.setAttribute('aria-labelledby', `search-group-${group.type}`);
+      groupElement.innerHTML = `<div class="search-palette-group-label" id="search-group-${group.type}" role="presentation"></div>`;
+      groupElement.firstElementChild.textContent = t(group.label);
+
+      matches.forEach(entry => {
+        const index = state.results.push(entry) - 1;
+        const option = document.createElement('div');
+        option.className = 'search-palette-option';
+        option.id = `search-result-${index}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.setAttribute('data-index', index);
+        option.innerHTML = '<span class="search-palette-title"></span><span class="search-palette-summary"></span>';
+        option.firstElementChild.textContent = entry.title;
+        option.lastElementChild.textContent = entry.summary || '';
+        groupElement.appendChild(option);
+      });
+      state.list.appendChild(groupElement);
+    });
+
+    state.input.setAttribute('aria-expanded', String(state.results.length > 0));
+    setActive(state.results.length ? 0 : -1);
+
+    if (query.length < 2) {
+      state.status.textContent = t('search.prompt');
+    } else if (state.results.length) {
+      state.status.textContent = t('search.count', { count: state.results.length });
+    } else {
+      state.status.textContent = t('search.none', { query });
+    }
+    if (query.length > 1) emit(state.palette, 'sitesearch:results', { query, count: state.results.length });
+  }
+
+  function setActive(index) {
+    state.active = index;
+    state.list.querySelectorAll('[role="option"]').forEach(option => {
+      const active = Number(option.getAttribute('data-index')) === index;
+      option.classList.toggle('is-active', active);
+      option.setAttribute('aria-selected', String(active));
+      if (active && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+    });
+    if (index >= 0) {
+      state.input.setAttribute('aria-activedescendant', `search-result-${index}`);
+    } else {
+      state.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function onInputKeydown(e) {
+    const count = state.results.length;
+    if (e.key === 'ArrowDown' && count) {
+      e.preventDefault();
+      setActive((state.active + 1) % count);
+    } else if (e.key === 'ArrowUp' && count) {
+      e.preventDefault();
+      setActive((state.active - 1 + count) % count);
+    } else if (e.key === 'Enter' && state.results[state.active]) {
+      e.preventDefault();
+      go(state.results[state.active]);
+    }
+  }
+
+  /**
+   * Open the palette and load the index if needed
+   */
+  function open() {
+    if (!state.palette) buildPalette();
+    if (!window.FriendlyFix.openModal(state.palette, { initialFocus: state.input })) return;
+    state.input.select();
+
+    state.status.textContent = t('search.loading');
+    state.failed = false;
+    loadIndex()
+      .then(render)
+      .catch(error => {
+        console.error('Site search index could not be loaded:', error);
+        state.failed = true;
+        state.status.textContent = t('search.error');
+      });
+  }
+
+  function close() {
+    if (state.palette) window.FriendlyFix.closeModal(state.palette);
+  }
+
+  // ==========================================================================
+  // OPENING RESULTS
+  // ==========================================================================
+
+  function samePage(url) {
+    const normalise = path => path.replace(/\/index\.html$/, '/');
+    return url.origin === window.location.origin &&
+      normalise(url.pathname) === normalise(window.location.pathname);
+  }
+
+  /**
+   * Go to a result: other pages are loaded, on this page the tab, modal
+   * or accordion item is opened in place
+   */
+  function go(entry) {
+    if (!entry) return;
+    emit(state.palette, 'sitesearch:select', { query: state.input.value.trim(), entry });
+
+    const url = new URL(entry.url, window.location.href);
+    if (!samePage(url)) {
+      window.location.href = url.href;
+      return;
+    }
+
+    window.FriendlyFix.closeModal(state.palette, { restoreFocus: false });
+    if (url.search && url.search !== window.location.search) {
+      window.history.pushState(null, '', url.pathname + url.search);
+      window.FriendlyFix.applyUrlState();
+    }
+    openTarget(decodeURIComponent(url.hash.slice(1)));
+  }
+
+  /**
+   * Open a modal (rendering catalog services on demand) or an accordion
+   * item by id, and scroll other targets into view
+   * @param {string} id
+   */
+  async function openTarget(id) {
+    if (!id) return;
+    let target = document.getElementById(id);
+    const catalog = window.FriendlyFix.catalog;
+    if (!target && catalog && id.startsWith('modal-')) target = await catalog.reveal(id.slice(6));
+    if (!target) return;
+
+    if (target.classList.contains('modal')) {
+      window.FriendlyFix.openModal(target);
+      return;
+    }
+
+    // Accordion items open when the hash names them
+    const url = `${window.location.pathname}${window.location.search}#${id}`;
+    if (window.location.hash !== `#${id}`) window.history.pushState(null, '', url);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  function isTyping(element) {
+    return Boolean(element && element.closest &&
+      element.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+  }
+
+  function addTrigger() {
+    const list = document.querySelector('.site-nav ul');
+    if (!list || list.querySelector('.search-trigger')) return;
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <button type="button" class="search-trigger" aria-haspopup="dialog" aria-keyshortcuts="Control+K Meta+K /">
+        <span data-i18n="search.trigger">Search</span> <kbd aria-hidden="true">/</kbd>
+      </button>`;
+    list.appendChild(item);
+    window.FriendlyFix.i18n.translate(item);
+  }
+
+  function initSiteSearch() {
+    if (!window.FriendlyFix || !window.FriendlyFix.openModal) return;
+
+    window.FriendlyFix.i18n.addMessages(MESSAGES);
+    addTrigger();
+
+    // Relabel a palette that has already been built; results and status
+    // are redrawn unless the index is still loading
+    document.addEventListener('language:change', () => {
+      if (!state.palette) return;
+      renderLabels();
+      if (state.failed) {
+        state.status.textContent = t('search.error');
+      } else if (state.entries.length) {
+        render();
+      }
+    });
+    document.addEventListener('click', e => {
+      if (e.target.closest('.search-trigger, [data-site-search]')) open();
+    });
+
+    document.addEventListener('keydown', e => {
+      const shortcut = (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+      const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTyping(e.target);
+      if (!shortcut && !slash) return;
+      e.preventDefault();
+      if (state.palette && state.palette.classList.contains('active')) {
+        state.input.select();
+      } else {
+        open();
+      }
+    });
+
+    // Links to a service modal, e.g. services.html#modal-heater; the hash is
+    // dropped again when the modal closes so a reload doesn't reopen it
+    if (/^#modal-/.test(window.location.hash)) {
+      const id = decodeURIComponent(window.location.hash.slice(1));
+      openTarget(id).then(() => {
+        const modal = document.getElementById(id);
+        if (!modal) return;
+        modal.addEventListener('modal:close', () => {
+          if (window.location.hash === `#${id}`) {
+            window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+          }
+        }, { once: true });
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSiteSearch);
+  } else {
+    initSiteSearch();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.siteSearch = {
+    open,                                    // Show the palette
+    close,
+    search: query => loadIndex().then(() => search(query)), // → Promise of matching entries
+    openTarget                               // Open a modal or accordion item by id
+  };
+
+})();
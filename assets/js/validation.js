@@ -0,0 +1,446 @@
+/**
+ * Form Validation Module for Friendly Fix Plumbing
+ * Declarative client-side validation driven by data attributes or a JS schema.
+ *
+ * Any form with `data-validate` is wired up automatically. Rules are read
+ * from native attributes (required, minlength, maxlength, pattern,
+ * type="email", type="tel") plus:
+ * - data-format="phone"                 Phone number (US or +international)
+ * - data-required-if="service=emergency" Required when another field matches
+ *                                        (use | for several values)
+ * - data-message-<rule>="..."           Custom message, e.g. data-message-required
+ * - data-label="..."                    Name used in default messages
+ *
+ * Forms with `data-validate-manual` are not checked on submit; the script
+ * that owns them calls validate() itself (the quote wizard validates one
+ * step at a time).
+ *
+ * Fields are validated on blur, re-checked as the user types once flagged,
+ * and all at once on submit. Errors are rendered inline and linked to the
+ * field with aria-describedby / aria-invalid.
+ *
+ * Messages follow the site's language switcher when main.js is loaded
+ * (keys `validation.*`); labels and data-message-* attributes are read when
+ * a message is shown, so data-i18n / data-i18n-attr on them work too.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  // English text; other languages come from the locale bundles
+  const MESSAGES = {
+    'validation.required': '{label} is required.',
+    'validation.minLength': '{label} must be at least {min} characters.',
+    'validation.maxLength': '{label} must be {max} characters or fewer.',
+    'validation.email': 'Please enter a valid email address.',
+    'validation.phone': 'Please enter a valid phone number, e.g. (123) 456-7890.',
+    'validation.pattern': '{label} is not in the expected format.',
+    'validation.invalid': '{label} is invalid.'
+  };
+
+  /**
+   * Message in the chosen language; English when main.js isn't loaded
+   */
+  function t(key, vars = {}) {
+    const i18n = window.FriendlyFix && window.FriendlyFix.i18n;
+    if (i18n) {
+      i18n.addMessages(MESSAGES); // Keeps existing keys, so repeating it is harmless
+      return i18n.t(key, vars);
+    }
+    return MESSAGES[key].replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] !== undefined ? vars[name] : placeholder));
+  }
+
+  // ==========================================================================
+  // RULES
+  // ==========================================================================
+
+  /**
+   * Built-in rules
+   * Each test receives the trimmed value, the rule option and the form,
+   * and returns true when the value passes
+   */
+  const rules = {
+    required: {
+      test: value => value !== '',
+      message: field => t('validation.required', { label: field.label })
+    },
+    requiredIf: {
+      test: (value, condition, form) => !conditionMet(condition, form) || value !== '',
+      message: field => t('validation.required', { label: field.label })
+    },
+    minLength: {
+      test: (value, min) => value === '' || value.length >= min,
+      message: (field, min) => t('validation.minLength', { label: field.label, min })
+    },
+    maxLength: {
+      test: (value, max) => value.length <= max,
+      message: (field, max) => t('validation.maxLength', { label: field.label, max })
+    },
+    email: {
+      test: value => value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+      message: () => t('validation.email')
+    },
+    phone: {
+      test: value => value === '' || isValidPhone(value),
+      message: () => t('validation.phone')
+    },
+    pattern: {
+      test: (value, pattern) => value === '' || new RegExp(`^(?:${pattern})$`).test(value),
+      message: field => t('validation.pattern', { label: field.label })
+    }
+  };
+
+  // Order in which rules are checked; the first failure is reported
+  const ruleOrder = ['required', 'requiredIf', 'minLength', 'maxLength', 'email', 'phone', 'pattern'];
+
+  /**
+   * Accept US numbers (10 digits, optional leading 1) and international
+   * numbers written with a leading + (7-15 digits, E.164)
+   * @param {string} value - Phone number as typed
+   * @returns {boolean}
+   */
+  function isValidPhone(value) {
+    if (!/^\+?[\d\s().-]+$/.test(value)) return false;
+    const digits = value.replace(/\D/g, '');
+    if (value.trim().startsWith('+')) {
+      return digits.length >= 7 && digits.length <= 15;
+    }
+    return digits.length === 10 || (digits.length === 11 && digits[0] === '1');
+  }
+
+  /**
+   * Check a requiredIf condition against the current form values
+   * @param {{field: string, values: string[]}} condition
+   * @param {HTMLFormElement} form
+   * @returns {boolean}
+   */
+  function conditionMet(condition, form) {
+    const other = form.elements[condition.field];
+    if (!other) return false;
+    return condition.values.includes(readValue(other));
+  }
+
+  /**
+   * Parse "service=emergency|leak" into { field, values }
+   * @param {string} expression
+   */
+  function parseCondition(expression) {
+    const [field, values = ''] = expression.split('=');
+    return { field: field.trim(), values: values.split('|').map(v => v.trim()) };
+  }
+
+  // ==========================================================================
+  // SCHEMA
+  // ==========================================================================
+
+  /**
+   * Read a field's value as a trimmed string
+   * Radio groups and checkboxes report the checked value (or '')
+   */
+  function readValue(element) {
+    if (element instanceof RadioNodeList || element.type === 'radio') {
+      const group = element instanceof RadioNodeList ? element : element.form.elements[element.name];
+      return group.value || '';
+    }
+    if (element.type === 'checkbox') {
+      return element.checked ? element.value : '';
+    }
+    return String(element.value || '').trim();
+  }
+
+  /**
+   * Build rules for one field from its attributes
+   * @param {HTMLElement} input - The form control
+   * @returns {Object} Rule options keyed by rule name
+   */
+  function rulesFromAttributes(input) {
+    const fieldRules = {};
+    const data = input.dataset;
+
+    if (input.required) fieldRules.required = true;
+    if (data.requiredIf) fieldRules.requiredIf = data.requiredIf;
+    if (input.minLength > 0 || data.minLength) fieldRules.minLength = Number(data.minLength || input.minLength);
+    if (input.maxLength > 0 || data.maxLength) fieldRules.maxLength = Number(data.maxLength || input.maxLength);
+    if (input.type === 'email') fieldRules.email = true;
+    if (input.type === 'tel' || data.format === 'phone') fieldRules.phone = true;
+    if (input.pattern) fieldRules.pattern = input.pattern;
+
+    return fieldRules;
+  }
+
+  /**
+   * Collect custom messages from data-message-* attributes
+   * e.g. data-message-required-if → { requiredIf: '...' }
+   */
+  function messagesFromAttributes(input) {
+    const messages = {};
+    Object.keys(input.dataset).forEach(key => {
+      if (key.startsWith('message') && key.length > 'message'.length) {
+        const rule = key.charAt(7).toLowerCase() + key.slice(8);
+        messages[rule] = input.dataset[key];
+      }
+    });
+    return messages;
+  }
+
+  /**
+   * Human readable field name for default messages
+   * Uses data-label, else the label's own text (ignoring nested controls)
+   */
+  function labelFor(input) {
+    if (input.dataset.label) return input.dataset.label;
+    const label = input.labels && input.labels[0];
+    if (label) {
+      const text = Array.from(label.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent)
+        .join(' ')
+        .trim();
+      if (text) return text;
+    }
+    return input.getAttribute('aria-label') || input.name;
+  }
+
+  // ==========================================================================
+  // VALIDATOR
+  // ==========================================================================
+
+  const validators = new WeakMap();
+  let generatedIds = 0;
+
+  /**
+   * Attach validation to a form
+   * @param {HTMLFormElement} form - The form to validate
+   * @param {Object} [schema] - Per-field rules keyed by field name, merged over
+   *   attribute rules. Example:
+   *   { phone: { phone: true, requiredIf: 'service=emergency',
+   *              messages: { requiredIf: 'We need a number for emergencies.' } } }
+   * @returns {Object} Validator with validate(), validateField() and reset()
+   */
+  function attach(form, schema = {}) {
+    if (validators.has(form)) return validators.get(form);
+
+    form.noValidate = true; // We render our own messages
+    const touched = new Set();
+
+    // Build a field descriptor for every named control
+    const fields = {};
+    Array.from(form.elements).forEach(input => {
+      if (!input.name || fields[input.name] || ['submit', 'button', 'reset', 'hidden'].includes(input.type)) return;
+
+      const custom = schema[input.name] || {};
+      const fieldRules = Object.assign(rulesFromAttributes(input), custom);
+      delete fieldRules.messages;
+      delete fieldRules.validate;
+
+      if (typeof fieldRules.requiredIf === 'string') {
+        fieldRules.requiredIf = parseCondition(fieldRules.requiredIf);
+      }
+
+      fields[input.name] = {
+        name: input.name,
+        input,
+        get label() { return labelFor(input); }, // Read each time so it follows the language
+        rules: fieldRules,
+        messages: custom.messages || {},         // Schema messages; attribute ones are read live
+        validate: custom.validate || null
+      };
+    });
+
+    /**
+     * Check one field and update its error message
+     * @param {string} name - Field name
+     * @returns {boolean} True when valid
+     */
+    function validateField(name) {
+      const field = fields[name];
+      if (!field) return true;
+
+      const value = readValue(form.elements[name]);
+      let error = null;
+
+      for (const ruleName of ruleOrder) {
+        if (!(ruleName in field.rules) || field.rules[ruleName] === false) continue;
+        const option = field.rules[ruleName];
+        if (!rules[ruleName].test(value, option, form)) {
+          error = field.messages[ruleName] || messagesFromAttributes(field.input)[ruleName] ||
+            rules[ruleName].message(field, option);
+          break;
+        }
+      }
+
+      // Custom validator runs last: return true or an error message
+      if (!error && field.validate) {
+        const result = field.validate(value, form);
+        if (result !== true) error = result || t('validation.invalid', { label: field.label });
+      }
+
+      showError(field, error);
+      return !error;
+    }
+
+    /**
+     * Check every field (or only those inside a container)
+     * @param {Element} [scope] - Limit validation to fields within this element
+     * @returns {boolean} True when all checked fields are valid
+     */
+    function validate(scope) {
+      let firstInvalid = null;
+
+      Object.keys(fields).forEach(name => {
+        const field = fields[name];
+        if (scope && !scope.contains(field.input)) return;
+        if (field.input.matches(':disabled')) return; // e.g. inside a disabled fieldset
+        touched.add(name);
+        if (!validateField(name) && !firstInvalid) firstInvalid = field.input;
+      });
+
+      if (firstInvalid) firstInvalid.focus();
+      return !firstInvalid;
+    }
+
+    /**
+     * Clear all messages, e.g. after form.reset()
+     */
+    function reset() {
+      touched.clear();
+      Object.keys(fields).forEach(name => showError(fields[name], null));
+    }
+
+    // Validate on blur, then live while the user corrects a flagged field
+    form.addEventListener('focusout', e => {
+      const name = e.target.name;
+      if (!fields[name]) return;
+      touched.add(name);
+      validateField(name);
+    });
+
+    form.addEventListener('input', e => revalidate(e.target.name));
+    form.addEventListener('change', e => revalidate(e.target.name));
+    form.addEventListener('reset', () => setTimeout(reset, 0));
+
+    // Messages on show are redone in the new language
+    document.addEventListener('language:change', () => {
+      Object.keys(fields).forEach(name => {
+        if (errorTarget(fields[name]).getAttribute('aria-invalid') === 'true') validateField(name);
+      });
+    });
+
+    function revalidate(name) {
+      if (touched.has(name)) validateField(name);
+
+      // Re-check fields whose requiredIf depends on the one that changed
+      Object.keys(fields).forEach(other => {
+        const condition = fields[other].rules.requiredIf;
+        if (condition && condition.field === name && touched.has(other)) validateField(other);
+      });
+    }
+
+    const validator = { form, fields, validate, validateField, reset };
+    validators.set(form, validator);
+    return validator;
+  }
+
+  // ==========================================================================
+  // ERROR MESSAGES
+  // ==========================================================================
+
+  /**
+   * Element an error is reported on. Radio groups report on their fieldset
+   * so the message isn't tied to one option.
+   */
+  function errorTarget(field) {
+    return (field.input.type === 'radio' && field.input.closest('fieldset')) || field.input;
+  }
+
+  /**
+   * Render (or clear) the inline error for a field
+   * @param {Object} field - Field descriptor
+   * @param {string|null} message - Error text, or null to clear
+   */
+  function showError(field, message) {
+    const target = errorTarget(field);
+    const group = target !== field.input ? target : null;
+    if (!target.id) target.id = `ff-field-${++generatedIds}`;
+
+    const errorId = `${target.id}-error`;
+    let errorEl = document.getElementById(errorId);
+
+    if (!message) {
+      target.removeAttribute('aria-invalid');
+      if (errorEl) errorEl.hidden = true;
+      return;
+    }
+
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.id = errorId;
+      errorEl.className = 'field-error';
+      if (group) {
+        group.appendChild(errorEl);
+      } else {
+        target.insertAdjacentElement('afterend', errorEl);
+      }
+
+      const describedBy = (target.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+      target.setAttribute('aria-describedby', describedBy.concat(errorId).join(' '));
+    }
+
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+    target.setAttribute('aria-invalid', 'true');
+  }
+
+  // ==========================================================================
+  // SUBMIT HANDLING
+  // ==========================================================================
+
+  /**
+   * Validate a form that has a validator attached
+   * @param {HTMLFormElement} form
+   * @returns {boolean} True when valid (or when no validator is attached)
+   */
+  function validateForm(form) {
+    const validator = validators.get(form);
+    return validator ? validator.validate() : true;
+  }
+
+  /**
+   * Block invalid submissions before any other submit handler runs
+   * Listening on the document in the capture phase means page scripts
+   * (such as the contact form handler in main.js) only see valid forms
+   */
+  document.addEventListener('submit', e => {
+    if (e.target.hasAttribute('data-validate-manual')) return;
+    if (!validateForm(e.target)) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }, true);
+
+  /**
+   * Attach validation to every form marked with data-validate
+   */
+  function initValidation() {
+    document.querySelectorAll('form[data-validate]').forEach(form => attach(form));
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initValidation);
+  } else {
+    initValidation();
+  }
+
+  // Expose on the shared FriendlyFix namespace
+  window.FriendlyFix = window.FriendlyFix || {};
+  window.FriendlyFix.validation = {
+    attach,                 // Attach validation to a form (optionally with a schema)
+    validate: validateForm, // Validate an attached form
+    get: form => validators.get(form) || null,
+    rules,                  // Built-in rules; add your own { test, message }
+    ruleOrder               // Push custom rule names here so they are checked
+  };
+
+})();
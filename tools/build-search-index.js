@@ -0,0 +1,102 @@
+/**
+ * Builds assets/data/search-index.json for the site search palette
+ * (assets/js/site-search.js) from the pages, the service catalog and the
+ * FAQ accordion on services.html.
+ *
+ * Run after changing page copy, services.json or the FAQ:
+ *   node tools/build-search-index.js
+ *
+ * No dependencies; the HTML is read with regular expressions, so it
+ * expects the markup conventions used in this repo.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES = ['index.html', 'services.html', 'about.html', 'contact.html'];
+const OUTPUT = path.join(ROOT, 'assets/data/search-index.json');
+
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Plain text of an HTML fragment, without scripts, noscript and tags
+ */
+function text(html) {
+  return html
+    .replace(/<(script|noscript|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#39;|&rsquo;/g, '\'')
+    .replace(/&[a-z]+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function match(html, pattern) {
+  const found = html.match(pattern);
+  return found ? found[1] : '';
+}
+
+function pageEntry(file) {
+  const html = read(file);
+  const main = match(html, /<main[^>]*>([\s\S]*?)<\/main>/i);
+  // The page's own nav link ("Home", "Services", ...), else its <title>
+  const nav = match(html, /(<nav class="site-nav"[\s\S]*?<\/nav>)/i);
+  const title = text(match(nav, new RegExp(`<a[^>]*href="${file}"[^>]*>([\\s\\S]*?)<\\/a>`, 'i'))) ||
+    text(match(html, /<title>([\s\S]*?)<\/title>/i)).replace(/\s*\|\s*Friendly Fix Plumbing$/, '');
+  const headings = Array.from(main.matchAll(/<h[1-4][^>]*>([\s\S]*?)<\/h[1-4]>/gi), heading => text(heading[1]));
+  const description = match(html, /<meta name="description" content="([^"]*)"/i) || text(match(main, /<p[^>]*>([\s\S]*?)<\/p>/i));
+
+  return {
+    type: 'page',
+    title,
+    summary: description,
+    keywords: headings.join(' '),
+    text: text(main).slice(0, 1500),
+    url: file
+  };
+}
+
+function serviceEntries() {
+  const catalog = JSON.parse(read('assets/data/services.json'));
+  return catalog.services.map(service => {
+    const modal = service.modal || {};
+    return {
+      type: 'service',
+      title: service.title,
+      summary: service.summary,
+      keywords: Array.from(new Set((service.categories || []).concat(service.panel))).join(' '),
+      text: [modal.description, (modal.list || []).join(' ')].filter(Boolean).join(' '),
+      url: `services.html?tab=${service.panel}#modal-${service.id}`
+    };
+  });
+}
+
+function faqEntries() {
+  const html = read('services.html');
+  const items = html.split(/<div class="accordion-item"/).slice(1);
+  return items.map(item => {
+    const id = match(item, /^\s*id="([^"]+)"/);
+    const question = text(match(item, /<button class="accordion-header">\s*<span[^>]*>([\s\S]*?)<\/span>/));
+    const answer = text(match(item, /<div class="accordion-content">([\s\S]*?)<\/div>/));
+    if (!id || !question) return null;
+    return {
+      type: 'faq',
+      title: question,
+      summary: answer.length > 160 ? answer.slice(0, 157).replace(/\s+\S*$/, '') + '…' : answer,
+      keywords: '',
+      text: answer,
+      url: `services.html#${id}`
+    };
+  }).filter(Boolean);
+}
+
+const entries = [].concat(serviceEntries(), faqEntries(), PAGES.map(pageEntry));
+fs.writeFileSync(OUTPUT, JSON.stringify({ generated: new Date().toISOString(), entries }, null, 2) + '\n');
+console.log(`Wrote ${entries.length} entries to ${path.relative(ROOT, OUTPUT)}`);